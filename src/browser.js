@@ -4,6 +4,9 @@
  * @date 2009-11-24 (revised 2011-03-14)
  * @version 1.2.0
  * @requires prototype.js Uses several objects and extensions provided by Prototype.
+ * @requires Promise Native or polyfilled; loading, caching and persistence are built on it.
+ * @requires AbortController Native or polyfilled, to abort loads that are no longer wanted
+ *           (without it their results are ignored instead).
  */
 
 /**
@@ -32,6 +35,209 @@ var Browser = Class.create({
         this.updateOnChange = autoUpdate;
         this.columns = [];
         this.columnContainerClassSet = new ColumnContainerClassSet();
+        
+        // Width of each column on-screen, in pixels
+        this.columnWidth = 205;
+        // Builds the next column when going deeper, see Browser#setColumnFactory
+        this.columnFactory = null;
+        
+        // Where the keyboard navigation currently is
+        this.activeColumn = null;
+        this.activeItem = null;
+        
+        // Set while Browser#selectPath runs, so its steps don't count as path changes
+        this.isSelectingPath = false;
+        // Keep the selected path in location.hash, see Browser#setHashTracking
+        this.hashTracking = false;
+        this.hashchangeListener = null;
+        
+        // The provider behind every column, when set by Browser#loadProvider (used to search)
+        this.provider = null;
+        // The top-level nodes, when set by Browser#loadTree (edited by moves and creates)
+        this.tree = null;
+        
+        // What has been typed so far, to jump to an item (see Browser#typeAhead)
+        this.typeAheadBuffer = "";
+        this.typeAheadTimer = null;
+        
+        // Listeners for the browser's events, by event name; see Browser#on
+        this.listeners = {};
+        
+        // The trailing preview pane, see Browser#setPreview
+        this.previewRenderer = null;
+        this.previewWidth = 300;
+        this.previewItem = null;
+        this.pendingPreview = null;
+        
+        // Drag-and-drop of items, see Browser#setDragAndDrop
+        this.isDragEnabled = false;
+        this.onMove = null;
+        this.dragState = null;
+        
+        // Renaming, creating and deleting items in place, see Browser#setEditing
+        this.isEditable = false;
+        this.editHandlers = {};
+        this.editState = null;
+        this.renameTimer = null;
+        this.newItemCount = 0;
+        
+        // The right-click menu for every item without its own, and the menu open now,
+        // see Browser#setContextMenu
+        this.contextMenu = null;
+        this.openMenu = null;
+        
+        // How item rows are drawn, when their column has no template; see Browser#setItemTemplate
+        this.itemTemplate = null;
+        
+        // Where the state is saved between visits, see Browser#setPersistence
+        this.persistence = null;
+        this.persistenceKey = null;
+        this.persistListener = null;
+        this.persistTimer = null;
+        this.isRestoring = false;
+        
+        // What the live region says when the selected path changes (see Browser#announce);
+        // #{path} is the names along the path
+        this.pathMessage = "#{path}";
+        this.emptyPathMessage = "Nothing selected";
+        
+        // The form the selection is posted with, see Browser#bindForm
+        this.form = null;
+        this.formRules = [];
+        this.formListeners = null;
+        this.initialState = null;
+        this.showValidation = false;
+        
+        // Loaded children kept by parent path, and the prefetch waiting on a hover, see
+        // Browser#setCache
+        this.cache = null;
+        this.prefetchDelay = 300;
+        this.prefetchTimer = null;
+        this.prefetchTarget = null;
+        
+        // The paths selected so far, as snapshots (see Browser#serialize), for Browser#back
+        // and Browser#forward
+        this.history = [];
+        this.historyIndex = -1;
+        this.historyLimit = 50;
+        this.isNavigatingHistory = false;
+        this.showHistoryButtons = false;
+        
+        // One column at a time, below narrowWidth, see Browser#setResponsive
+        this.narrowWidth = 0;
+        this.isNarrow = false;
+        this.narrowPosition = 0;
+        this.resizeListener = null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Listen for one of the browser's events:
+     *  select          an item is about to be selected (by click, keyboard or Browser#selectPath)
+     *  activate        an item is about to be activated (by double-click or Enter)
+     *  hover           the mouse is over an item
+     *  columnUpdated   a column's items have been redrawn
+     *  columnEmpty     a column has been drawn with no items to show (see Column#setEmptyState)
+     *  columnError     a column's items failed to load, or took too long; the payload has
+     *                  the 'error' (see Column#load)
+     *  pathChange      the selected path has changed (including by Browser#back and
+     *                  Browser#forward)
+     *  contextmenu     a context menu is about to open (item is null for a column's empty space)
+     * The listener runs with 'this' as the browser, and receives a payload with the 'column',
+     * 'item', 'path' (see Browser#getSelectedPath) and 'originalEvent' (the DOM event, or
+     * null). For select, activate and hover, the path leads to the item, and calling
+     * payload.cancel() stops the event before it is applied, including the item's handler.
+     * @param {String} eventName the name of the event
+     * @param {Function} listener the function to run
+     *
+     * @returns {Browser} the browser, so calls can be chained
+     */
+    on: function(eventName, listener) {
+        if (!this.listeners[eventName])
+            this.listeners[eventName] = [];
+        this.listeners[eventName].push(listener);
+        return this;
+    },
+    /**
+     * @memberOf Browser
+     * @description Stop listening for one of the browser's events
+     * @param {String} eventName the name of the event
+     * @param {Function} listener (optional) the function to remove. Without it, all of the
+     *              event's listeners are removed.
+     *
+     * @returns {Browser} the browser, so calls can be chained
+     */
+    off: function(eventName, listener) {
+        if (typeof listener == 'undefined')
+            delete this.listeners[eventName];
+        else if (this.listeners[eventName])
+            this.listeners[eventName] = this.listeners[eventName].without(listener);
+        return this;
+    },
+    /**
+     * @memberOf Browser
+     * @description Run the listeners for one of the browser's events (see Browser#on).
+     * @param {String} eventName the name of the event
+     * @param {Object} memo the values for the payload
+     *
+     * @returns {Object} the payload; its 'cancelled' property is true if a listener cancelled
+     */
+    fire: function(eventName, memo) {
+        var payload = Object.extend({
+            type: eventName,
+            browser: this,
+            column: null,
+            item: null,
+            path: [],
+            originalEvent: null,
+            cancelled: false,
+            cancel: function() {
+                this.cancelled = true;
+            }
+        }, memo || {});
+        
+        (this.listeners[eventName] || []).each(function(listener) {
+            listener.call(this, payload);
+        }, this);
+        
+        return payload;
+    },
+    /**
+     * @memberOf Browser
+     * @description Fire the browser event that goes with a column item event (select for
+     * click, activate for dblclick, hover for mouseover).
+     * @param {String} eventName the column item event
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item the event happened to
+     * @param {Event} event the DOM event (or null)
+     *
+     * @returns {Object} the payload (see Browser#fire)
+     */
+    fireItemEvent: function(eventName, column, item, event) {
+        var browserEvents = {click: "select", dblclick: "activate", mouseover: "hover"};
+        
+        return this.fire(browserEvents[eventName] || eventName, {
+            column: column,
+            item: item,
+            path: this.pathTo(column, item),
+            originalEvent: event || null
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Build the path that leads to an item: the selected path up to its column,
+     * then the item itself.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item (or null, for the path up to the column)
+     *
+     * @returns {Array} the path (see Browser#getSelectedPath)
+     */
+    pathTo: function(column, item) {
+        var path = this.getSelectedPath().slice(0, Math.max(0, column.position));
+        
+        if (item)
+            path.push({name: item.name, value: item.value, columnContainerId: column.columnContainerId});
+        
+        return path;
     },
     /**
      * @memberOf Browser
@@ -41,419 +247,4702 @@ var Browser = Class.create({
      * @returns {int} the count of columns in the browser object
      */
     addColumn: function(columnToAdd) {
-        var count = this.columns.push(columnToAdd), i = 0;
+        var count = this.columns.push(columnToAdd);
+        
+        columnToAdd.position = count-1;
+        
+        columnToAdd.setBrowser(this);
+        
+        this._resetContainerClasses();
+        
+        if (this.autoUpdate) this.updateColumns();
+        
+        return count;
+    },
+    /**
+     * @memberOf Browser
+     * @description Remove every column to the right of the given position, dropping any of
+     * their loads still in flight. Their elements are taken off the screen, if drawn.
+     * @param {int} position the position of the last column to keep
+     *
+     * @returns {int} the count of columns in the browser object
+     */
+    removeColumnsAfter: function(position) {
+        var removed = this.columns.splice(position + 1, this.columns.length);
+        
+        if (this.activeColumn && this.activeColumn.position > position)
+            this.setActive(this.columns[position], (this.columns[position]) ? this.columns[position].getSelectedItem() : null);
+        
+        removed.invoke("dispose");
+        
+        this._resetContainerClasses();
+        this._updateViewport();
+        
+        return this.columns.length;
+    },
+    /**
+     * @memberOf Browser
+     * @description Set the function used to build a new column whenever an item with
+     * children is selected in the last column. Columns further right are removed as the
+     * selection moves back up, so trees of any depth can be browsed without declaring
+     * every level in advance.
+     * @param {Function} factory takes the depth (position) of the new column and the selected
+     *              ColumnItem, and returns a Column (usually with a provider)
+     *
+     * @returns {Function} the old factory
+     */
+    setColumnFactory: function(factory) {
+        var oldFactory = this.columnFactory;
+        this.columnFactory = factory;
+        return oldFactory;
+    },
+    /**
+     * @memberOf Browser
+     * @description Reset the first/last/none state of all columns, including those already on-screen.
+     *
+     * @returns nothing
+     */
+    _resetContainerClasses: function() {
+        var count = this.columns.length,
+            classSet = this.columnContainerClassSet,
+            i = 0;
         
         // Reset all column states
-        for (; i < this.columns.length; i++) {
-            this.columns[i].setContainerClass(this.columnContainerClassSet.NONE)
+        for (; i < count; i++) {
+            this.columns[i].setContainerClass(classSet.NONE)
         }
         
         // Set the state of the columns
         if (count > 1) {
-            this.columns[0].setContainerClass(this.columnContainerClassSet.FIRST)
-            this.columns[this.columns.length-1].setContainerClass(this.columnContainerClassSet.LAST)
+            this.columns[0].setContainerClass(classSet.FIRST)
+            this.columns[count-1].setContainerClass(classSet.LAST)
         } else if (count == 1) {
-            this.columns[0].setContainerClass(this.columnContainerClassSet.BOTH)
-        } else {
-            // Something is wrong; no columns exist after adding one
+            this.columns[0].setContainerClass(classSet.BOTH)
         }
         
-        if (this.autoUpdate) this.updateColumns();
+        for (i = 0; i < count; i++) {
+            var myUl = $(this.columns[i].domId);
+            if (myUl) {
+                myUl.removeClassName(classSet.FIRST).removeClassName(classSet.LAST);
+                if (this.columns[i].columnContainerClass)
+                    myUl.addClassName(this.columns[i].columnContainerClass);
+            }
+        }
+    },
+    /**
+     * @memberOf Browser
+     * @description Builds the columns from a nested tree of data, rather than having to
+     * create every Column and ColumnItem by hand. Each node looks like:
+     *  {
+     *      name: "Item name",
+     *      value: "item_value",
+     *      description: "Optional tooltip text",
+     *      children: [ ...more nodes... ]
+     *  }
+     * The first column is filled with the top-level nodes. Selecting an item with children
+     * adds a column holding those children, and removes every column further to the right.
+     *
+     * @param {Array|Object} tree the top-level nodes, or a root node whose children are the top-level nodes
+     * @param {Object} options (optional) settings for the generated columns, see Browser#loadProvider
+     *
+     * @returns {int} the count of columns in the browser object
+     */
+    loadTree: function(tree, options) {
+        var nodes = Object.isArray(tree) ? tree : (tree.children || []),
+            count = this.loadProvider(function(parentItem) {
+                return Promise.resolve((parentItem) ? parentItem.children : nodes);
+            }, options);
         
-        columnToAdd.position = count-1;
+        this.tree = nodes;
+        
+        return count;
+    },
+    /**
+     * @memberOf Browser
+     * @description Builds the columns from a single provider, which loads the items of any
+     * level of the hierarchy (see Column#setProvider). It receives the selected item of the
+     * previous column, or null for the top level. The first column is created straight
+     * away, and each following one when an item with children is selected (nodes returned
+     * by the provider should set 'hasChildren' when their children are not included).
+     *
+     * @param {Function} provider loads the items for a column, given the parent item
+     * @param {Object} options (optional) settings for the generated columns:
+     *              labels {Array} the label of each column, by level
+     *              columnIds {Array} the columnContainerId of each column, by level
+     *              eventHandlers {Object} handlers given to each generated ColumnItem
+     *              multiSelect {boolean|Array} turn on multi-select for every column, or
+     *                  for the columns at the listed levels (see Column#setMultiSelect)
+     *              filterable {boolean} give every column a filter box (see Column#setFilterable)
+     *              emptyState {String|Function} what every column shows when it has no
+     *                  items (see Column#setEmptyState)
+     *              loadTimeout {int} how long (in milliseconds) a load may take before
+     *                  the column shows an error (see Column#load)
+     *              sort {String|Function|boolean} how every column orders its items (see
+     *                  Column#setSort)
+     *              sortOptions {Array|boolean} the sorts offered in each column's header
+     *                  (see Column#setSortOptions)
+     *              grouping {String|Function} how every column groups its items under
+     *                  section headers (see Column#setGrouping)
+     *
+     * @returns {int} the count of columns in the browser object
+     */
+    loadProvider: function(provider, options) {
+        options = options || {};
+        
+        this.columns = [];
+        this.provider = provider;
+        // Set again by Browser#loadTree, when the provider is a tree's
+        this.tree = null;
+        this.setColumnFactory(function(depth) {
+            var column = new Column(
+                (options.labels && options.labels[depth]) || "",
+                (options.columnIds && options.columnIds[depth]) || this.containerId + "_level" + depth,
+                depth == 0,
+                provider
+            );
+            column.itemHandlers = options.eventHandlers;
+            column.setMultiSelect(options.multiSelect === true ||
+                (Object.isArray(options.multiSelect) && options.multiSelect.include(depth)));
+            column.setFilterable(options.filterable);
+            if (typeof options.emptyState != 'undefined')
+                column.setEmptyState(options.emptyState);
+            if (typeof options.loadTimeout != 'undefined')
+                column.loadTimeout = options.loadTimeout;
+            column.setSort(options.sort);
+            column.setSortOptions(options.sortOptions);
+            column.setGrouping(options.grouping);
+            
+            return column;
+        }.bind(this));
+        
+        this.addColumn(this.columnFactory(0, null));
+        
+        if (this.updateOnChange) this.draw();
+        
+        return this.columns.length;
+    },
+    /**
+     * @memberOf Browser
+     * @description Called by a Column when the selected item changes. With a column factory
+     * (see Browser#setColumnFactory), every column to the right is removed, and a new one is
+     * added for the children of the selected item, if it has any. Otherwise, when the next
+     * column has a provider, this clears all of the columns to the right of the given column
+     * (dropping any of their loads still in flight), then loads the next one with the
+     * children of the selected item. Columns without a provider are left alone.
+     *
+     * When several items are selected in a multi-select column, the next column doesn't
+     * load any children, and shows a "multiple items selected" placeholder instead (see
+     * Column#showMultipleSelected).
+     *
+     * The preview pane, if there is one, is updated too (see Browser#setPreview).
+     * @param {Column} column the column where the selection changed
+     * @param {ColumnItem} item the newly selected item (null when nothing is selected)
+     *
+     * @returns {Promise} resolves once the next column has loaded
+     */
+    itemSelected: function(column, item) {
+        var loaded = this._showChildren(column, item);
+        
+        this.updatePreview(column, (column.getSelectedItems().length == 1) ? item : null);
+        this._followSelection(column, item);
+        
+        return loaded;
+    },
+    /**
+     * @memberOf Browser
+     * @description When showing one column at a time (see Browser#setResponsive), slide over
+     * to the children of a newly selected (or tapped again) item
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the selected item (or null)
+     *
+     * @returns nothing
+     */
+    _followSelection: function(column, item) {
+        var next = this.columns[column.position+1];
+        
+        if (this.isNarrow && item && item.selected && next && column.getSelectedItems().length == 1 &&
+                (!this.columnFactory || item.hasChildren))
+            this.showColumn(next.position);
+    },
+    /**
+     * @memberOf Browser
+     * @description Fill (or add) the column after the given one, for Browser#itemSelected
+     * @param {Column} column the column where the selection changed
+     * @param {ColumnItem} item the newly selected item (null when nothing is selected)
+     *
+     * @returns {Promise} resolves once the next column has loaded
+     */
+    _showChildren: function(column, item) {
+        var i = column.position + 1,
+            next = this.columns[i],
+            count = column.getSelectedItems().length;
+        
+        if (this.columnFactory) {
+            this.removeColumnsAfter(column.position);
+            
+            if (count > 1) {
+                next = this.columnFactory(i, null);
+                this.addColumn(next);
+                this._appendColumn(next);
+                next.showMultipleSelected(count);
+                return Promise.resolve(false);
+            }
+            
+            if (!item || !item.hasChildren)
+                return Promise.resolve(false);
+            
+            next = this.columnFactory(i, item);
+            this.addColumn(next);
+            this._appendColumn(next);
+            
+            return next.load(item);
+        }
+        
+        if (!next || !next.provider)
+            return Promise.resolve(false);
+        
+        for (; i < this.columns.length; i++) {
+            this.columns[i].abortLoad();
+            this.columns[i].clearItems();
+            this.columns[i].parentItem = null;
+            this.columns[i].disable();
+            this.columns[i].updateList(false);
+        }
+        
+        if (count > 1) {
+            next.showMultipleSelected(count);
+            return Promise.resolve(false);
+        }
+        
+        if (!item)
+            return Promise.resolve(false);
+        
+        return next.load(item);
+    },
+    /**
+     * @memberOf Browser
+     * @description Draw a column added after the browser is already on-screen, at the end of
+     * the column container, and scroll it into view.
+     * @param {Column} column the column to draw
+     *
+     * @returns nothing
+     */
+    _appendColumn: function(column) {
+        var columnContainer = $(this.containerId+"_columnContainer");
+        
+        if (!columnContainer)
+            return;
+        
+        // Keep the preview pane and the clearing breaker at the very end
+        columnContainer.insertBefore(column.render(), this._previewElement() || columnContainer.lastChild);
+        column.updateList(false);
+        
+        this._updateViewport();
+    },
+    /**
+     * @memberOf Browser
+     * @description Size the column container to fit every column, and scroll the viewport
+     * around it so the newest (right-most) column is in view.
+     *
+     * @returns nothing
+     */
+    _updateViewport: function() {
+        var columnContainer = $(this.containerId+"_columnContainer"),
+            viewport;
+        
+        if (!columnContainer)
+            return;
+        
+        if (this.isNarrow) {
+            this._layoutNarrow();
+            return;
+        }
+        
+        columnContainer.setStyle({
+           width: ((this.columns.length)*this.columnWidth + ((this.previewItem) ? this.previewWidth : 0)) + "px"
+        });
+        
+        viewport = columnContainer.up();
+        viewport.scrollLeft = Math.max(0, viewport.scrollWidth - viewport.clientWidth);
+    },
+    /**
+     * @memberOf Browser
+     * @description Turn on the preview pane: a trailing pane after the last column, shown
+     * when a leaf item is selected, like Finder's preview column. An item is a leaf when it
+     * has no children; with fixed columns (no column factory), only the items of the last
+     * column count as leaves. The pane is drawn into the browser right away, if it is
+     * on-screen.
+     * @param {Function|boolean} renderer true to use Browser#renderPreview, a function to use
+     *              in its place (taking the same arguments, run with 'this' as the browser),
+     *              or false to turn the pane off
+     *
+     * @returns {Function} the old renderer (null when the pane was off)
+     */
+    setPreview: function(renderer) {
+        var oldRenderer = this.previewRenderer,
+            columnContainer = $(this.containerId+"_columnContainer");
+        
+        this.previewRenderer = (renderer === true) ? this.renderPreview : (renderer || null);
+        
+        if (columnContainer && !oldRenderer && this.previewRenderer)
+            columnContainer.insertBefore(this._renderPreviewPane(), columnContainer.lastChild);
+        else if (columnContainer && oldRenderer && !this.previewRenderer)
+            this._previewElement().remove();
+        
+        this._refreshPreview();
+        
+        return oldRenderer;
+    },
+    /**
+     * @memberOf Browser
+     * @description The default preview: the name, value and description of the item (the
+     * ones it has). The renderer can return HTML, an element, or a Promise of either, for
+     * content that loads asynchronously; while it loads, the pane has the 'browser-loading'
+     * class, and if it fails, the 'browser-error' class and the error message.
+     * @param {ColumnItem} item the selected leaf item
+     * @param {Array} path the path to the item (see Browser#getSelectedPath)
+     *
+     * @returns {String} the HTML for the preview
+     */
+    renderPreview: function(item, path) {
+        var html = '<h4 class="preview-name">' + Browser.escapeHTML(item.name) + '</h4><dl>';
+        
+        if (item.value != null)
+            html += '<dt>Value</dt><dd class="preview-value">' + Browser.escapeHTML(item.value) + '</dd>';
+        if (item.description)
+            html += '<dt>Description</dt><dd class="preview-description">' + Browser.escapeHTML(item.description) + '</dd>';
+        
+        return html + '</dl>';
+    },
+    /**
+     * @memberOf Browser
+     * @description Show the preview of the selected item, or hide the preview pane when the
+     * item isn't a leaf (or there isn't one). A preview still loading for an item that is no
+     * longer selected is dropped.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the selected item (or null)
+     *
+     * @returns {Promise} resolves true once the preview is shown, or false if it isn't
+     */
+    updatePreview: function(column, item) {
+        var pane = this._previewElement(),
+            content = (pane) ? pane.down(".browser-preview-content") : null,
+            request = {};
+        
+        this.pendingPreview = null;
+        
+        if (!pane)
+            return Promise.resolve(false);
+        
+        pane.removeClassName("browser-loading").removeClassName("browser-error");
+        
+        if (!item || !this.isLeaf(column, item)) {
+            this.previewItem = null;
+            pane.hide();
+            content.update();
+            this._updateViewport();
+            return Promise.resolve(false);
+        }
+        
+        this.previewItem = item;
+        this.pendingPreview = request;
+        pane.show().addClassName("browser-loading");
+        this._updateViewport();
+        
+        return Promise.resolve(this.pathTo(column, item)).then(function(path) {
+            return this.previewRenderer.call(this, item, path);
+        }.bind(this)).then(function(html) {
+            if (this.pendingPreview !== request)
+                return false;
+            
+            this.pendingPreview = null;
+            pane.removeClassName("browser-loading");
+            content.update(html);
+            return true;
+        }.bind(this), function(error) {
+            if (this.pendingPreview !== request)
+                return false;
+            
+            this.pendingPreview = null;
+            pane.removeClassName("browser-loading").addClassName("browser-error");
+            content.update(String((error && error.message) || error).escapeHTML());
+            return false;
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Decide whether an item is a leaf, for the preview pane (see Browser#setPreview)
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item
+     *
+     * @returns {boolean} whether the item is a leaf
+     */
+    isLeaf: function(column, item) {
+        if (item.hasChildren)
+            return false;
+        
+        return !!this.columnFactory || column.position == this.columns.length - 1;
+    },
+    /**
+     * @memberOf Browser
+     * @description Update the preview pane for the deepest selected item
+     *
+     * @returns {Promise} resolves once the preview is shown (see Browser#updatePreview)
+     */
+    _refreshPreview: function() {
+        var column = this.columns[this.getSelectedPath().length - 1];
+        
+        return this.updatePreview(column, (column && column.getSelectedItems().length == 1) ? column.getSelectedItem() : null);
+    },
+    /**
+     * @memberOf Browser
+     * @description Build the preview pane, hidden until a leaf is selected:
+     *  <li class="browser-preview">
+     *      <h3>Preview</h3>
+     *      <div class="browser-preview-content">...</div>
+     *  </li>
+     *
+     * @returns {DOMElement} the pane
+     */
+    _renderPreviewPane: function() {
+        var pane = new Element("li", {"class": "browser-preview"});
+        
+        pane.appendChild(new Element("h3").update("Preview"));
+        pane.appendChild(new Element("div", {"class": "browser-preview-content"}));
+        pane.setStyle({width: this.previewWidth + "px"}).hide();
+        
+        return pane;
+    },
+    /**
+     * @memberOf Browser
+     * @description Find the preview pane on-screen
+     *
+     * @returns {DOMElement} the pane, or null if it isn't there
+     */
+    _previewElement: function() {
+        var columnContainer = $(this.containerId+"_columnContainer");
+        
+        return (columnContainer) ? columnContainer.down("li.browser-preview") || null : null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Turn drag-and-drop on or off. Items can be dragged within their column to
+     * reorder them (unless it is sorted or grouped, see Column#isReordered), or dropped onto
+     * an item in another column to move them under it. Valid
+     * drop targets get a 'drop-before' or 'drop-after' class (reordering) or 'drop-target'
+     * (moving under an item) while dragged over. The move is shown straight away, and undone
+     * if the onMove hook rejects it. Takes effect when the columns are next drawn.
+     * @param {boolean} enabled the new setting
+     * @param {Function} onMove (optional) called with the item, its old parent ColumnItem,
+     *              its new parent ColumnItem (null for the top level) and its new index among
+     *              the new parent's children. Return a Promise; rejecting it, or resolving it
+     *              to false, rolls the move back.
+     *
+     * @returns {boolean} the old setting
+     */
+    setDragAndDrop: function(enabled, onMove) {
+        var oldValue = this.isDragEnabled;
+        
+        this.isDragEnabled = !!enabled;
+        if (typeof onMove != 'undefined')
+            this.onMove = onMove;
+        
+        return oldValue;
+    },
+    /**
+     * @memberOf Browser
+     * @description Move an item to a new parent, or to a new place under the same parent,
+     * then call the onMove hook (see Browser#setDragAndDrop), rolling the move back if the
+     * hook rejects it. The columns showing the old and new parents' children are updated,
+     * along with the children kept on tree items (see Browser#loadTree).
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item to move
+     * @param {ColumnItem} toParent the new parent (null for the top level)
+     * @param {int} index the new index among the new parent's children
+     *
+     * @returns {Promise} resolves true once the move is accepted, or false if it was rolled back
+     */
+    moveItem: function(column, item, toParent, index) {
+        var fromParent = column.parentItem,
+            fromIndex = column.items.indexOf(item),
+            sameParent = (fromParent === toParent);
+        
+        this._applyMove(item, fromParent, toParent, index, column, (sameParent) ? column : this._columnShowing(toParent));
+        
+        return Promise.resolve().then(function() {
+            return (this.onMove) ? this.onMove(item, fromParent, toParent, index) : true;
+        }.bind(this)).then(function(accepted) {
+            if (accepted === false)
+                throw false;
+            
+            this._invalidateChildren(fromParent);
+            if (!sameParent)
+                this._invalidateChildren(toParent);
+            return true;
+        }.bind(this)).catch(function(error) {
+            var toColumn = this._columnShowing(fromParent);
+            
+            // The column the item came from may have been replaced in the meantime
+            if (!toColumn && sameParent && column.browser === this)
+                toColumn = column;
+            
+            this._applyMove(item, toParent, fromParent, fromIndex, this._columnShowing(toParent) || ((sameParent) ? toColumn : null), toColumn);
+            
+            if (error !== false)
+                Browser.log("Move rolled back", error);
+            return false;
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Carry out a move, for Browser#moveItem, in the data and on-screen
+     * @param {ColumnItem} item the item to move
+     * @param {ColumnItem} fromParent the old parent (null for the top level)
+     * @param {ColumnItem} toParent the new parent (null for the top level)
+     * @param {int} index the new index among the new parent's children
+     * @param {Column} fromColumn the column showing the old parent's children (or null)
+     * @param {Column} toColumn the column showing the new parent's children (or null)
+     *
+     * @returns nothing
+     */
+    _applyMove: function(item, fromParent, toParent, index, fromColumn, toColumn) {
+        var fromList = this._childList(fromParent),
+            toList = this._childList(toParent),
+            wasSelected = item.selected;
+        
+        if (item.node && fromList && fromList.include(item.node))
+            fromList.splice(fromList.indexOf(item.node), 1);
+        if (item.node && toList)
+            toList.splice(Math.min(index, toList.length), 0, item.node);
+        
+        if (fromColumn)
+            fromColumn.removeItem(item);
+        
+        if (toParent) {
+            toParent.hasChildren = true;
+            this._redrawParent(toParent);
+        }
+        this._childrenChanged(fromParent, fromColumn);
+        
+        if (toColumn) {
+            toColumn.insertItem(item, index);
+            
+            // Reordering keeps the selection
+            if (toColumn === fromColumn && wasSelected) {
+                item.selected = true;
+                toColumn._updateValue();
+            }
+            toColumn.updateList(true);
+        }
+        
+        if (fromColumn && fromColumn !== toColumn) {
+            fromColumn.updateList(true);
+            
+            // The item's children can't stay on-screen once it has gone
+            if (wasSelected) {
+                this.itemSelected(fromColumn, null);
+                this.pathChanged(fromColumn, null, null);
+            }
+        }
+    },
+    /**
+     * @memberOf Browser
+     * @description Work out whether a parent still has children, once one has gone, going
+     * by what is known of them: its child nodes, or else the column showing them (a
+     * provider's nodes may only say they have children). Its row is redrawn.
+     * @param {ColumnItem} parentItem the parent (null for the top level)
+     * @param {Column} column the column showing its children (or null)
+     *
+     * @returns nothing
+     */
+    _childrenChanged: function(parentItem, column) {
+        var list = this._childList(parentItem);
+        
+        if (!parentItem)
+            return;
+        
+        if (list)
+            parentItem.hasChildren = list.length > 0;
+        else if (column)
+            parentItem.hasChildren = column.getSelectableItems(true).length > 0;
+        
+        this._redrawParent(parentItem);
+    },
+    /**
+     * @memberOf Browser
+     * @description Redraw a parent's row after its children have changed (its chevron, and
+     * its place in a column sorted or grouped by type)
+     * @param {ColumnItem} parentItem the parent
+     *
+     * @returns nothing
+     */
+    _redrawParent: function(parentItem) {
+        var column = this._columnHolding(parentItem);
+        
+        if (column)
+            column._redrawChanged(parentItem);
+    },
+    /**
+     * @memberOf Browser
+     * @description Find the column an item is in
+     * @param {ColumnItem} item the item
+     *
+     * @returns {Column} the column, or null if it isn't in one
+     */
+    _columnHolding: function(item) {
+        return this.columns.find(function(column) {
+            return column.items.include(item);
+        }) || null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Find the column showing a parent's children
+     * @param {ColumnItem} parentItem the parent (null for the top level)
+     *
+     * @returns {Column} the column, or null if none is on-screen
+     */
+    _columnShowing: function(parentItem) {
+        return this.columns.find(function(column) {
+            return column.parentItem === parentItem && (parentItem || column.position == 0);
+        }) || null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Find the list of tree nodes holding a parent's children, when the items
+     * come from a tree (see Browser#loadTree), or the parent's node came with its children
+     * @param {ColumnItem} parentItem the parent (null for the top level)
+     *
+     * @returns {Array} the child nodes, or null when they aren't known
+     */
+    _childList: function(parentItem) {
+        if (!parentItem)
+            return this.tree || null;
+        
+        // A provider's node without children loads them separately
+        if (!parentItem.node || (!this.tree && !Object.isArray(parentItem.node.children)))
+            return null;
+        
+        // Keep the node and the item sharing one list
+        parentItem.node.children = parentItem.children;
+        return parentItem.children;
+    },
+    /**
+     * @memberOf Browser
+     * @description Start dragging an item (on dragstart in a column)
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item being dragged
+     * @param {Event} event the dragstart event
+     *
+     * @returns nothing
+     */
+    dragStart: function(column, item, event) {
+        if (!this.isDragEnabled || item.isEmpty) {
+            event.preventDefault();
+            return;
+        }
+        
+        this.dragState = {column: column, item: item, target: null, mode: null};
+        
+        if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = "move";
+            event.dataTransfer.setData("text/plain", String(item.value));
+        }
+        item.element.addClassName("dragging");
+    },
+    /**
+     * @memberOf Browser
+     * @description Work out, and highlight, where the dragged item would go if dropped on the
+     * item under the pointer (on dragover in a column): before or after it when in the same
+     * column ("before"/"after"), or under it when in another column ("into").
+     * @param {Column} column the column under the pointer
+     * @param {ColumnItem} item the item under the pointer
+     * @param {Event} event the dragover event
+     *
+     * @returns nothing
+     */
+    dragOver: function(column, item, event) {
+        var drag = this.dragState,
+            mode = null,
+            box;
+        
+        if (!drag || !item || item.isEmpty || item === drag.item)
+            return this._clearDropTarget();
+        
+        if (column === drag.column && column.isReordered()) {
+            // The items' own order can't be seen to change it
+            mode = null;
+        } else if (column === drag.column) {
+            box = item.element.getBoundingClientRect();
+            mode = (event.clientY < box.top + box.height / 2) ? "before" : "after";
+        } else if (this._canDropInto(column, item)) {
+            mode = "into";
+        }
+        
+        if (drag.target !== item || drag.mode !== mode)
+            this._clearDropTarget();
+        
+        if (!mode)
+            return;
+        
+        drag.target = item;
+        drag.mode = mode;
+        item.element.addClassName((mode == "into") ? "drop-target" : "drop-" + mode);
+        
+        // Allow the drop
+        event.preventDefault();
+        if (event.dataTransfer)
+            event.dataTransfer.dropEffect = "move";
+    },
+    /**
+     * @memberOf Browser
+     * @description Drop the dragged item where Browser#dragOver worked out it should go
+     * @param {Event} event the drop event
+     *
+     * @returns {Promise} resolves once the move is accepted or rolled back (see Browser#moveItem)
+     */
+    drop: function(event) {
+        var drag = this.dragState,
+            target = (drag) ? drag.target : null,
+            mode = (drag) ? drag.mode : null,
+            index;
+        
+        this.dragEnd();
+        
+        if (!target || !mode)
+            return Promise.resolve(false);
+        
+        event.preventDefault();
+        
+        if (mode == "into")
+            return this.moveItem(drag.column, drag.item, target, this._childCount(target));
+        
+        index = drag.column.items.indexOf(target) + ((mode == "after") ? 1 : 0);
+        if (drag.column.items.indexOf(drag.item) < index)
+            index--;
+        
+        return this.moveItem(drag.column, drag.item, drag.column.parentItem, index);
+    },
+    /**
+     * @memberOf Browser
+     * @description Stop dragging (on dragend, or once dropped), clearing the highlights
+     *
+     * @returns nothing
+     */
+    dragEnd: function() {
+        if (!this.dragState)
+            return;
+        
+        this._clearDropTarget();
+        if (this.dragState.item.element)
+            this.dragState.item.element.removeClassName("dragging");
+        this.dragState = null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Decide whether the dragged item can be dropped under an item in another
+     * column. It can't go under itself or one of its own descendants, or under the parent it
+     * already has.
+     * @param {Column} column the column holding the target
+     * @param {ColumnItem} target the item to drop under
+     *
+     * @returns {boolean} whether the drop is allowed
+     */
+    _canDropInto: function(column, target) {
+        var drag = this.dragState;
+        
+        // Columns further right of a selected item show its descendants
+        if (column.position > drag.column.position && drag.item.selected)
+            return false;
+        
+        return target !== drag.column.parentItem;
+    },
+    /**
+     * @memberOf Browser
+     * @description Count the children of an item, to drop a new one after them
+     * @param {ColumnItem} parentItem the item
+     *
+     * @returns {int} the number of children known
+     */
+    _childCount: function(parentItem) {
+        var column = this._columnShowing(parentItem),
+            list = this._childList(parentItem);
+        
+        return (column) ? column.items.length : ((list) ? list.length : 0);
+    },
+    /**
+     * @memberOf Browser
+     * @description Remove the drop highlight from the current drop target
+     *
+     * @returns nothing
+     */
+    _clearDropTarget: function() {
+        var drag = this.dragState;
+        
+        if (drag && drag.target && drag.target.element)
+            drag.target.element.removeClassName("drop-before").removeClassName("drop-after").removeClassName("drop-target");
+        if (drag) {
+            drag.target = null;
+            drag.mode = null;
+        }
+    },
+    /**
+     * @memberOf Browser
+     * @description Turn editing of items in place on or off. Items can then be renamed (with
+     * F2, or by clicking again on the selected item), created (see Browser#startCreate) and
+     * deleted (with Delete, after a confirmation). Each change is shown straight away, then
+     * handed to a persistence hook returning a Promise; if that rejects, the change is
+     * rolled back.
+     * @param {boolean} enabled the new setting
+     * @param {Object} handlers (optional) the hooks, each run with 'this' as the browser:
+     *              onRename(item, newName, oldName)
+     *              onCreate(column, item, parentItem) may resolve to an object with the
+     *                  'value' given to the new item (by the server, say)
+     *              onDelete(item, parentItem)
+     *              confirmDelete(item) returns (a Promise of) whether to go ahead; the
+     *                  default asks with window.confirm
+     *
+     * @returns {boolean} the old setting
+     */
+    setEditing: function(enabled, handlers) {
+        var oldValue = this.isEditable;
+        
+        this.isEditable = !!enabled;
+        if (typeof handlers != 'undefined')
+            this.editHandlers = handlers || {};
+        
+        return oldValue;
+    },
+    /**
+     * @memberOf Browser
+     * @description Rename an item, then call the onRename hook (see Browser#setEditing),
+     * rolling back to the old name if it rejects. The item keeps its machineName, so its
+     * selection and row are unaffected.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item to rename
+     * @param {String} newName the new name
+     *
+     * @returns {Promise} resolves true once the rename is saved, or false if it was rolled back
+     *              (or there was nothing to change)
+     */
+    renameItem: function(column, item, newName) {
+        var oldName = item.name;
+        
+        newName = (newName || "").strip();
+        if (!newName || newName == oldName)
+            return Promise.resolve(false);
+        
+        item.setName(newName);
+        column._updateValue();
+        column._redrawChanged(item);
+        
+        return this._persist("onRename", [item, newName, oldName]).then(function(saved) {
+            if (saved)
+                return true;
+            
+            item.setName(oldName);
+            column._updateValue();
+            column._redrawChanged(item);
+            return false;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Add a new item at the end of a column, and start renaming it. Once a name
+     * is entered, the onCreate hook is called (see Browser#setEditing); the item is removed
+     * again if that rejects, or if the rename is cancelled.
+     * @param {Column} column the column to add the item to
+     * @param {String} name (optional) the name to start with (default "New item")
+     *
+     * @returns {ColumnItem} the new item
+     */
+    startCreate: function(column, name) {
+        var item = new ColumnItem(name || "New item", "new-" + (++this.newItemCount), false, column.itemHandlers || {
+                click: Prototype.emptyFunction,
+                dblclick: Prototype.emptyFunction
+            }),
+            list = this._childList(column.parentItem);
+        
+        if (list) {
+            item.node = {name: item.name, value: item.value, children: item.children};
+            list.push(item.node);
+        }
+        
+        column.addItem(item);
+        column.enable();
+        column.updateList(true);
+        column.scrollToItem(item);
+        
+        this.startRename(column, item, true);
+        
+        return item;
+    },
+    /**
+     * @memberOf Browser
+     * @description Ask for confirmation, then delete an item, and call the onDelete hook (see
+     * Browser#setEditing), putting the item back if it rejects.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item to delete
+     *
+     * @returns {Promise} resolves true once the delete is saved, or false if it was cancelled
+     *              or rolled back
+     */
+    deleteItem: function(column, item) {
+        var confirmDelete = this.editHandlers.confirmDelete || function(item) {
+            return window.confirm('Delete "' + item.name + '"?');
+        };
+        
+        return Promise.resolve(confirmDelete.call(this, item)).then(function(confirmed) {
+            var parentItem = column.parentItem,
+                wasSelected = item.selected,
+                index;
+            
+            if (!confirmed || column.items.indexOf(item) == -1)
+                return false;
+            
+            index = this._removeItem(column, item);
+            if (wasSelected) {
+                this.itemSelected(column, null);
+                this.pathChanged(column, null, null);
+            }
+            
+            return this._persist("onDelete", [item, parentItem]).then(function(saved) {
+                var list = this._childList(parentItem);
+                
+                if (saved) {
+                    this._invalidateChildren(parentItem);
+                    return true;
+                }
+                
+                if (item.node && list)
+                    list.splice(Math.min(index, list.length), 0, item.node);
+                if (column.browser === this) {
+                    column.insertItem(item, index);
+                    column.enable();
+                    column.updateList(true);
+                }
+                if (parentItem) {
+                    parentItem.hasChildren = true;
+                    this._redrawParent(parentItem);
+                }
+                return false;
+            }.bind(this));
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Swap an item's row for a text box holding its name. Enter (or leaving the
+     * box) saves the new name with Browser#renameItem; Escape cancels.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item to rename
+     * @param {boolean} creating Is this the name of an item made by Browser#startCreate.
+     *
+     * @returns nothing
+     */
+    startRename: function(column, item, creating) {
+        var input;
+        
+        this._cancelScheduledRename();
+        if (this.editState)
+            this.finishRename(true);
+        
+        if (!item.element)
+            return;
+        
+        input = new Element("input", {"type": "text", "class": "browser-rename", "value": item.name});
+        item.element.update(input);
+        
+        this.editState = {column: column, item: item, input: input, creating: !!creating};
+        
+        input.observe("keydown", function(event) {
+            if (event.keyCode == Event.KEY_RETURN || event.keyCode == Event.KEY_ESC) {
+                Event.stop(event);
+                this.finishRename(event.keyCode == Event.KEY_RETURN);
+            }
+        }.bindAsEventListener(this));
+        input.observe("blur", function(event) {
+            this.finishRename(true);
+        }.bindAsEventListener(this));
+        
+        input.focus();
+        input.select();
+    },
+    /**
+     * @memberOf Browser
+     * @description Finish renaming (see Browser#startRename), saving or cancelling the new name
+     * @param {boolean} save Should the new name be kept.
+     *
+     * @returns {Promise} resolves true once the change is saved
+     */
+    finishRename: function(save) {
+        var edit = this.editState,
+            newName;
+        
+        if (!edit)
+            return Promise.resolve(false);
+        
+        this.editState = null;
+        newName = edit.input.value.strip();
+        edit.input.stopObserving();
+        edit.column.redrawItem(edit.item);
+        
+        // Give the keyboard back to the browser
+        this.focus();
+        
+        if (!edit.creating)
+            return (save) ? this.renameItem(edit.column, edit.item, newName) : Promise.resolve(false);
+        
+        if (!save) {
+            this._removeItem(edit.column, edit.item);
+            return Promise.resolve(false);
+        }
+        
+        if (newName) {
+            edit.item.setName(newName);
+            edit.column._redrawChanged(edit.item);
+        }
+        
+        return this._persist("onCreate", [edit.column, edit.item, edit.column.parentItem]).then(function(saved) {
+            if (!saved) {
+                this._removeItem(edit.column, edit.item);
+                return false;
+            }
+            
+            if (saved !== true && typeof saved.value != 'undefined') {
+                edit.item.value = saved.value;
+                if (edit.item.node)
+                    edit.item.node.value = saved.value;
+            }
+            this._invalidateChildren(edit.column.parentItem);
+            return true;
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Take an item out of its column (and its tree node out of the tree), and
+     * redraw the column
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item to remove
+     *
+     * @returns {int} the index the item had
+     */
+    _removeItem: function(column, item) {
+        var list = this._childList(column.parentItem),
+            index = column.removeItem(item);
+        
+        if (item.node && list && list.include(item.node))
+            list.splice(list.indexOf(item.node), 1);
+        
+        column.updateList(true);
+        this._childrenChanged(column.parentItem, column);
+        
+        return index;
+    },
+    /**
+     * @memberOf Browser
+     * @description Call one of the persistence hooks (see Browser#setEditing)
+     * @param {String} hookName the name of the hook
+     * @param {Array} args the arguments for the hook
+     *
+     * @returns {Promise} resolves to the hook's result (true when there is no hook), or
+     *              false when it rejects
+     */
+    _persist: function(hookName, args) {
+        var hook = this.editHandlers[hookName];
+        
+        return Promise.resolve().then(function() {
+            return (hook) ? hook.apply(this, args) : true;
+        }.bind(this)).then(function(result) {
+            return (typeof result == 'undefined') ? true : result;
+        }, function(error) {
+            Browser.log(hookName + " failed, rolled back", error);
+            return false;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Start renaming an item after a pause, for a second click on the selected
+     * item. A double-click in the meantime cancels it.
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item clicked
+     *
+     * @returns nothing
+     */
+    _scheduleRename: function(column, item) {
+        this._cancelScheduledRename();
+        this.renameTimer = window.setTimeout(function() {
+            this.renameTimer = null;
+            if (item.selected && item.element)
+                this.startRename(column, item);
+        }.bind(this), 500);
+    },
+    /**
+     * @memberOf Browser
+     * @description Cancel a rename started by Browser#_scheduleRename
+     *
+     * @returns nothing
+     */
+    _cancelScheduledRename: function() {
+        window.clearTimeout(this.renameTimer);
+        this.renameTimer = null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Set how the contents of item rows are drawn, for columns without a template
+     * of their own (see Column#setItemTemplate). The template is either:
+     *  a string for a Prototype Template, filled in with the item's values, escaped (see
+     *      ColumnItem#templateData), e.g. '<span class="icon #{icon}"></span>#{name}'
+     *  a function(item, column) returning HTML or an element. What it returns is used as is,
+     *      so it should escape any text it includes (item.templateData() helps).
+     * The row itself (with its id and the picked and empty classes) is drawn around it.
+     * Without a template, rows show the escaped name, with the item's icon, secondary text,
+     * badge and a chevron for items with children when they have them (see
+     * ColumnItem.defaultTemplate). Takes effect when the items are next drawn.
+     * @param {String|Function} template the template, or null for the default
+     *
+     * @returns {String|Function} the old template
+     */
+    setItemTemplate: function(template) {
+        var oldTemplate = this.itemTemplate;
+        this.itemTemplate = template || null;
+        return oldTemplate;
+    },
+    /**
+     * @memberOf Browser
+     * @description Set the context menu for items that have no menu of their own, nor one
+     * from their column (see Column#setContextMenu and ColumnItem#contextMenu). The menu is
+     * a list of entries, or a function returning one:
+     *  {label: "Open", action: function(context) {...}, disabled: function(context) {...}}
+     *  {label: "Send to", items: [...]}    a submenu
+     *  "-"                                 a separator
+     * 'disabled' can also be a plain boolean. Actions run with 'this' as the browser, and
+     * get the same context as browser events (see Browser#fire): the column, the item (null
+     * when the column's empty space was clicked) and the path leading to it.
+     * @param {Array|Function} menu the menu entries, or null for none
+     *
+     * @returns {Array|Function} the old menu
+     */
+    setContextMenu: function(menu) {
+        var oldMenu = this.contextMenu;
+        this.contextMenu = menu || null;
+        return oldMenu;
+    },
+    /**
+     * @memberOf Browser
+     * @description Open the context menu for an item, or for a column's empty space. Fires
+     * the contextmenu event first; cancelling it (or there being no menu) leaves the
+     * browser's own menu to appear.
+     * @param {Column} column the column clicked in
+     * @param {ColumnItem} item the item clicked on, or null
+     * @param {Event} event the DOM event, or null when opened from the keyboard
+     *
+     * @returns {BrowserMenu} the menu opened, or null
+     */
+    openContextMenu: function(column, item, event) {
+        var context = this.fire("contextmenu", {
+                column: column,
+                item: item,
+                path: (item) ? this.pathTo(column, item) : this.getSelectedPath().slice(0, column.position),
+                originalEvent: event || null
+            }),
+            entries = (item && item.contextMenu) || column.contextMenu || this.contextMenu,
+            anchor = (item && item.element) || $(column.domId),
+            offset;
+        
+        this.closeContextMenu();
+        
+        if (context.cancelled || !entries)
+            return null;
+        
+        if (Object.isFunction(entries))
+            entries = entries.call(this, context);
+        if (!entries || !entries.length)
+            return null;
+        
+        if (event) {
+            Event.stop(event);
+            offset = [Event.pointerX(event), Event.pointerY(event)];
+        } else {
+            offset = anchor.cumulativeOffset();
+            offset = [offset.left, offset.top + anchor.getHeight()];
+        }
+        
+        this.openMenu = new BrowserMenu(entries, context, function(hadFocus) {
+            this.openMenu = null;
+            // Give the keyboard back to the browser, unless it has moved elsewhere
+            if (hadFocus)
+                this.focus();
+        }.bind(this));
+        this.openMenu.open(offset[0], offset[1]);
+        
+        return this.openMenu;
+    },
+    /**
+     * @memberOf Browser
+     * @description Close the open context menu, if any
+     *
+     * @returns nothing
+     */
+    closeContextMenu: function() {
+        if (this.openMenu)
+            this.openMenu.close();
+    },
+    /**
+     * @memberOf Browser
+     * @description Post the selection with a form. Hidden inputs named after each column's
+     * columnContainerId (one per value, in multi-select columns) are kept in the form, in
+     * sync with the selection. The form isn't submitted while the rules fail (see
+     * Browser#validate), and resetting it puts the browser back how it was when bound (see
+     * Browser#reset), so bind it once the starting selection is made.
+     * @param {DOMElement|String} form the form, or its id
+     * @param {Object} options (optional) settings:
+     *              rules {Array} the validation rules, each one of:
+     *                  {column: id or position, required: true, message: "..."}
+     *                  {leaf: true, message: "..."}   the path has to end on a leaf
+     *                  {validate: function(path) {...}, column: id or position}   returns
+     *                      true, or else a message (runs with 'this' as the browser)
+     *              initialState {Object} the snapshot to reset to (see Browser#serialize),
+     *                  in place of the state now
+     *
+     * @returns {Browser} the browser, so calls can be chained
+     */
+    bindForm: function(form, options) {
+        options = options || {};
+        
+        this.unbindForm();
+        
+        this.form = $(form);
+        this.formRules = options.rules || [];
+        this.initialState = options.initialState || this.serialize();
+        this.showValidation = false;
+        this.formListeners = {
+            pathChange: this._syncForm.bind(this),
+            submit: function(event) {
+                if (this.validate().length > 0) {
+                    Event.stop(event);
+                    this.showValidation = true;
+                    this._focusInvalid();
+                }
+            }.bindAsEventListener(this),
+            reset: function(event) {
+                this.reset();
+            }.bindAsEventListener(this)
+        };
+        
+        this.on("pathChange", this.formListeners.pathChange);
+        this.form.observe("submit", this.formListeners.submit);
+        this.form.observe("reset", this.formListeners.reset);
+        this._syncForm();
+        
+        return this;
+    },
+    /**
+     * @memberOf Browser
+     * @description Stop posting the selection with the form bound by Browser#bindForm,
+     * removing the hidden inputs and any error styling
+     *
+     * @returns {Browser} the browser, so calls can be chained
+     */
+    unbindForm: function() {
+        var inputs = $(this.containerId + "_inputs");
+        
+        if (!this.form)
+            return this;
+        
+        this.off("pathChange", this.formListeners.pathChange);
+        this.form.stopObserving("submit", this.formListeners.submit);
+        this.form.stopObserving("reset", this.formListeners.reset);
+        if (inputs)
+            inputs.remove();
+        this._showErrors([]);
+        
+        this.form = null;
+        this.formListeners = null;
+        this.formRules = [];
+        this.showValidation = false;
+        
+        return this;
+    },
+    /**
+     * @memberOf Browser
+     * @description Check the selection against the form's rules (see Browser#bindForm). Each
+     * column that fails gets the 'browser-invalid' class and aria-invalid, and the messages
+     * are listed (for screen readers too) at the end of the browser.
+     *
+     * @returns {Array} the errors, each with the 'column' (or null) and 'message'; empty
+     *              when the selection is valid
+     */
+    validate: function() {
+        var path = this.getSelectedPath(),
+            errors = [];
+        
+        this.formRules.each(function(rule) {
+            var column = this._ruleColumn(rule),
+                last = this.columns[path.length-1],
+                result;
+            
+            if (rule.required) {
+                if (!column || column.value == null || (Object.isArray(column.value) && column.value.length == 0))
+                    errors.push({column: column || null, message: rule.message || "Please make a selection"});
+            } else if (rule.leaf) {
+                if (!last || last.getSelectedItems().length != 1 || !this.isLeaf(last, last.getSelectedItem()))
+                    errors.push({column: last || this.columns[0] || null, message: rule.message || "Please select an item without sub-items"});
+            } else if (rule.validate) {
+                result = rule.validate.call(this, path);
+                if (result !== true)
+                    errors.push({column: column || null, message: (Object.isString(result) && result) || rule.message || "Please check the selection"});
+            }
+        }, this);
+        
+        this._showErrors(errors);
+        
+        return errors;
+    },
+    /**
+     * @memberOf Browser
+     * @description Put the browser back the way it was when the form was bound (see
+     * Browser#bindForm), or in the state of a snapshot (see Browser#serialize): the
+     * selection is cleared, then the snapshot restored. Runs when the bound form resets.
+     * @param {Object} snapshot (optional) the snapshot to go back to
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    reset: function(snapshot) {
+        this.showValidation = false;
+        this._showErrors([]);
+        this.clearSelection();
+        
+        return this.restore(snapshot || this.initialState);
+    },
+    /**
+     * @memberOf Browser
+     * @description Unselect everything, which empties (or removes) the columns after the first
+     *
+     * @returns nothing
+     */
+    clearSelection: function() {
+        var first = this.columns[0];
+        
+        if (!first || first.getSelectedItems().length == 0)
+            return;
+        
+        first.getSelectedItems().each(function(item) {
+            item.selected = false;
+        });
+        first.selectionAnchor = null;
+        first._updateValue();
+        first.refreshItems();
+        
+        this.setActive(first, null);
+        this.itemSelected(first, null);
+        this.pathChanged(first, null, null);
+    },
+    /**
+     * @memberOf Browser
+     * @description Write the selected values into the bound form's hidden inputs, and check
+     * the rules again once a submit has failed on them
+     *
+     * @returns nothing
+     */
+    _syncForm: function() {
+        var inputs = $(this.containerId + "_inputs"),
+            values = this.getColumnValues();
+        
+        if (!this.form)
+            return;
+        
+        if (!inputs) {
+            inputs = new Element("div", {"id": this.containerId + "_inputs", "class": "browser-inputs"});
+            this.form.appendChild(inputs);
+        }
+        
+        inputs.update();
+        $H(values).each(function(pair) {
+            [].concat(pair.value).each(function(value) {
+                inputs.appendChild(new Element("input", {"type": "hidden", "name": pair.key, "value": value}));
+            });
+        });
+        
+        if (this.showValidation)
+            this.validate();
+    },
+    /**
+     * @memberOf Browser
+     * @description Find the column a rule is about
+     * @param {Object} rule the rule (see Browser#bindForm)
+     *
+     * @returns {Column} the column, or undefined when there is none (yet)
+     */
+    _ruleColumn: function(rule) {
+        if (typeof rule.column == 'number')
+            return this.columns[rule.column];
+        
+        return this.columns.find(function(column) {
+            return column.columnContainerId == rule.column;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Show validation errors on the columns and in the list of messages,
+     * replacing any shown before
+     * @param {Array} errors the errors (see Browser#validate)
+     *
+     * @returns nothing
+     */
+    _showErrors: function(errors) {
+        var container = $(this.containerId),
+            list = $(this.containerId + "_errors");
+        
+        this.columns.each(function(column) {
+            var ul = $(column.domId),
+                invalid = errors.pluck("column").include(column);
+            
+            if (!ul)
+                return;
+            
+            (invalid) ? ul.up("li").addClassName("browser-invalid") : ul.up("li").removeClassName("browser-invalid");
+            ul.writeAttribute("aria-invalid", String(invalid));
+        });
+        
+        if (!list && container && errors.length > 0) {
+            list = new Element("ul", {"id": this.containerId + "_errors", "class": "browser-errors", "role": "alert"});
+            container.appendChild(list);
+        }
+        if (list)
+            list.update(errors.map(function(error) {
+                return "<li>" + Browser.escapeHTML(error.message) + "</li>";
+            }).join(""));
+    },
+    /**
+     * @memberOf Browser
+     * @description Move the keyboard to the first column failing validation
+     *
+     * @returns nothing
+     */
+    _focusInvalid: function() {
+        var column = this.columns.find(function(candidate) {
+                return $(candidate.domId) && $(candidate.domId).up("li").hasClassName("browser-invalid");
+            }),
+            item;
+        
+        if (!column)
+            return;
+        
+        item = column.getSelectedItem() || column.getSelectableItems()[0];
+        this.setActive(column, item || null);
+        this.focus();
+    },
+    /**
+     * @memberOf Browser
+     * @description Gets the values from the columns (that have one) as a hash-type object.
+     * Multi-select columns give an array of the selected values.
+     *
+     * @returns {object} hash of all column values
+     */
+    getColumnValues: function() {
+        var i = 0,
+            params = {};
+        
+        for(; i < this.columns.length; i++) {
+            if (this.columns[i].value != null) {
+                if (!params.hasOwnProperty(this.columns[i].columnContainerId)) {
+                    params[this.columns[i].columnContainerId] = 0;
+                }
+                params[this.columns[i].columnContainerId] = this.columns[i].value;
+            }
+        }
+        
+        return params;
+    },
+    /**
+     * @memberOf Browser
+     * @description Gets the selected item of each column, from the first column up to the
+     * first one with nothing selected. A column with several items selected ends the path,
+     * and its entry holds arrays of their names and values.
+     *
+     * @returns {Array} objects with the name and value of each selected item, and the
+     *              columnContainerId of its column
+     */
+    getSelectedPath: function() {
+        var path = [],
+            i = 0,
+            selected;
+        
+        for (; i < this.columns.length; i++) {
+            selected = this.columns[i].getSelectedItems();
+            if (selected.length == 0)
+                break;
+            
+            path.push({
+                name: (selected.length > 1) ? selected.pluck("name") : selected[0].name,
+                value: (selected.length > 1) ? selected.pluck("value") : selected[0].value,
+                columnContainerId: this.columns[i].columnContainerId
+            });
+            
+            if (selected.length > 1)
+                break;
+        }
+        
+        return path;
+    },
+    /**
+     * @memberOf Browser
+     * @description Select an item in each column in turn, by value, as if each had been
+     * clicked. Every column is given the chance to finish loading before its item is
+     * looked for, so children loaded by providers are handled. Stops at the first value
+     * that can't be found. Columns past the end of the path are cleared.
+     * @param {Array} values the value to select in each column, starting from the first. For a
+     *              multi-select column, this can be an array of values (which ends the path).
+     *
+     * @returns {Promise} resolves to the selected path (see Browser#getSelectedPath)
+     */
+    selectPath: function(values) {
+        var browser = this,
+            previousPath = Object.toJSON(this.getSelectedPath());
+        
+        // An empty path leaves every column past its end: nothing stays selected
+        if ($A(values).length == 0) {
+            this.clearSelection();
+            return Promise.resolve(this.getSelectedPath());
+        }
+        
+        this.isSelectingPath = true;
+        
+        return $A(values).inject(Promise.resolve(true), function(previous, value, i) {
+            return previous.then(function(found) {
+                var column = browser.columns[i];
+                
+                if (!found || !column)
+                    return false;
+                
+                return column.whenLoaded().then(function() {
+                    var item;
+                    
+                    if (Object.isArray(value) && column.isMultiSelect) {
+                        column.setFilter("");
+                        column.selectItems(column.getSelectableItems().select(function(candidate) {
+                            return value.include(candidate.value);
+                        }), null);
+                        return column.getSelectedItems().length > 0;
+                    }
+                    
+                    item = column.findItem(value);
+                    
+                    if (!item)
+                        return false;
+                    
+                    // The item has to be on-screen to be selected
+                    if (!column.getVisibleItems().include(item))
+                        column.setFilter("");
+                    
+                    if (item.selected && column.getSelectedItems().length == 1) {
+                        browser.setActive(column, item);
+                        return true;
+                    }
+                    
+                    // A listener may cancel the selection
+                    return column.dispatchItemEvent('click', item, null, true);
+                });
+            });
+        }).then(function(found) {
+            var last = browser.columns[values.length-1],
+                next = browser.columns[values.length];
+            
+            // Selections further along than the path are dropped
+            if (found && last && next && next.value != null)
+                browser.itemSelected(last, last.getSelectedItem());
+            
+            return (next) ? next.whenLoaded() : true;
+        }).then(function() {
+            var column = browser.columns[browser.getSelectedPath().length-1];
+            
+            browser.isSelectingPath = false;
+            if (Object.toJSON(browser.getSelectedPath()) != previousPath)
+                browser.pathChanged(column, (column) ? column.getSelectedItem() : null, null);
+            
+            return browser.getSelectedPath();
+        }, function(error) {
+            browser.isSelectingPath = false;
+            throw error;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Search the tree for items whose name contains the query (ignoring case).
+     * With a provider (see Browser#loadTree and Browser#loadProvider), the whole tree is
+     * searched, loading children along the way, with 'this' in the provider being the
+     * browser. Otherwise, only the items already in the columns are searched.
+     * @param {String} query the text to look for
+     * @param {Object} options (optional) settings for the search:
+     *              limit {int} the most results to return (default 100)
+     *              maxDepth {int} how many levels deep to go (default 20)
+     *              match {Function} takes the query and a ColumnItem, returns whether it
+     *                  matches, in place of the name check
+     *
+     * @returns {Promise} resolves to an array of paths, each like Browser#getSelectedPath.
+     *              Pass one to Browser#reveal to show it.
+     */
+    search: function(query, options) {
+        var results = [];
+        
+        options = Object.extend({
+            limit: 100,
+            maxDepth: 20,
+            match: function(text, item) {
+                return item.name.toLowerCase().include(text.toLowerCase());
+            }
+        }, options || {});
+        
+        if (!this.provider)
+            return Promise.resolve(this._searchColumns(query, options));
+        
+        return this._searchLevel(null, [], query, options, results).then(function() {
+            return results;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Select the items along a path found by Browser#search, loading and
+     * expanding the columns down to the last item.
+     * @param {Array} path the path, as objects with a value
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    reveal: function(path) {
+        return this.selectPath(path.pluck("value"));
+    },
+    /**
+     * @memberOf Browser
+     * @description Search one level of the provider-backed tree, depth first, adding the
+     * matching paths to the results until the limit is reached.
+     * @param {ColumnItem} parentItem the item whose children are searched (null for the top level)
+     * @param {Array} path the path down to the parent item
+     * @param {String} query the text to look for
+     * @param {Object} options the search settings (see Browser#search)
+     * @param {Array} results the paths found so far
+     *
+     * @returns {Promise} resolves once the level (and everything below it) is searched
+     */
+    _searchLevel: function(parentItem, path, query, options, results) {
+        return Promise.resolve(this.provider(parentItem)).then(function(nodes) {
+            return $A(nodes || []).inject(Promise.resolve(), function(previous, node) {
+                return previous.then(function() {
+                    var item = (node instanceof ColumnItem) ? node : ColumnItem.fromNode(node),
+                        itemPath;
+                    
+                    if (results.length >= options.limit || item.isEmpty)
+                        return;
+                    
+                    itemPath = path.concat([{name: item.name, value: item.value}]);
+                    if (options.match(query, item))
+                        results.push(itemPath);
+                    
+                    if (item.hasChildren && itemPath.length < options.maxDepth)
+                        return this._searchLevel(item, itemPath, query, options, results);
+                }.bind(this));
+            }, this);
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Search the items already in the columns. Each column's items sit below
+     * the items selected in the columns before it.
+     * @param {String} query the text to look for
+     * @param {Object} options the search settings (see Browser#search)
+     *
+     * @returns {Array} the matching paths
+     */
+    _searchColumns: function(query, options) {
+        var selectedPath = this.getSelectedPath(),
+            results = [],
+            i = 0;
+        
+        for (; i < this.columns.length && i <= selectedPath.length; i++) {
+            var path = selectedPath.slice(0, i).map(function(step) {
+                return {name: step.name, value: step.value};
+            });
+            
+            this.columns[i].getSelectableItems(true).each(function(item) {
+                if (results.length < options.limit && options.match(query, item))
+                    results.push(path.concat([{name: item.name, value: item.value}]));
+            });
+        }
+        
+        return results;
+    },
+    /**
+     * @memberOf Browser
+     * @description Called by a Column after the selection changes. Fires the pathChange
+     * event, and writes the new path to location.hash when hash tracking is on. Ignored while
+     * Browser#selectPath runs, which calls it once at the end.
+     * @param {Column} column the column where the selection changed
+     * @param {ColumnItem} item the item the change happened on
+     * @param {Event} event the DOM event behind the change (or null)
+     *
+     * @returns nothing
+     */
+    pathChanged: function(column, item, event) {
+        var path;
+        
+        if (this.isSelectingPath)
+            return;
+        
+        path = this.getSelectedPath();
+        
+        if (this.hashTracking)
+            this._writeHashPath(path.pluck("value"));
+        
+        this._recordHistory();
+        if (this.isNarrow)
+            this._updateNarrowHeader();
+        
+        this.announce((path.length > 0) ? new Template(this.pathMessage).evaluate({
+            path: path.map(function(entry) {
+                return [].concat(entry.name).join(", ");
+            }).join(" / ")
+        }) : this.emptyPathMessage);
+        
+        this.fire("pathChange", {column: column || null, item: item || null, path: path, originalEvent: event || null});
+    },
+    /**
+     * @memberOf Browser
+     * @description Keep the selected path in location.hash, as "containerId=value/value/...",
+     * so a location in the hierarchy can be bookmarked and shared. The path in the hash is
+     * selected when the browser is drawn, and again when it changes (on back/forward).
+     * Several browsers can share the hash, as they each use their own key, joined by '&'.
+     * @param {boolean} enabled turn hash tracking on or off
+     *
+     * @returns {boolean} the old setting
+     */
+    setHashTracking: function(enabled) {
+        var oldValue = this.hashTracking;
+        
+        this.hashTracking = !!enabled;
+        
+        if (this.hashTracking && !this.hashchangeListener) {
+            this.hashchangeListener = this._restoreHashPath.bind(this);
+            Event.observe(window, "hashchange", this.hashchangeListener);
+            
+            if ($(this.containerId+"_columnContainer"))
+                this._restoreHashPath();
+        } else if (!this.hashTracking && this.hashchangeListener) {
+            Event.stopObserving(window, "hashchange", this.hashchangeListener);
+            this.hashchangeListener = null;
+        }
+        
+        return oldValue;
+    },
+    /**
+     * @memberOf Browser
+     * @description Select the path found in location.hash, unless it is already selected.
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    _restoreHashPath: function() {
+        var values = this._readHashPath(),
+            // The hash holds strings, where the values may be numbers
+            asStrings = function(path) {
+                return Object.toJSON($A(path).map(function(value) {
+                    return (Object.isArray(value)) ? value.map(String) : String(value);
+                }));
+            };
+        
+        if (asStrings(values) == asStrings(this.getSelectedPath().pluck("value")))
+            return Promise.resolve(this.getSelectedPath());
+        
+        return this.selectPath(values);
+    },
+    /**
+     * @memberOf Browser
+     * @description Read this browser's path from location.hash. A malformed entry (one that
+     * can't be decoded) counts as no path.
+     *
+     * @returns {Array} the values in the path (empty when there is none)
+     */
+    _readHashPath: function() {
+        var key = encodeURIComponent(this.containerId) + "=",
+            entry = this._hashEntries().find(function(candidate) {
+                return candidate.startsWith(key);
+            });
+        
+        if (!entry || entry.length == key.length)
+            return [];
+        
+        try {
+            return entry.substr(key.length).split("/").map(function(segment) {
+                return (segment.include(",")) ? segment.split(",").map(decodeURIComponent) : decodeURIComponent(segment);
+            });
+        } catch (error) {
+            Browser.log("Couldn't read the path from the hash", error);
+            return [];
+        }
+    },
+    /**
+     * @memberOf Browser
+     * @description Write this browser's path into location.hash, keeping the entries of any
+     * other browsers. Does nothing if the hash already holds the path. Several values
+     * selected in one column are separated by ','.
+     * @param {Array} values the values in the path
+     *
+     * @returns nothing
+     */
+    _writeHashPath: function(values) {
+        var key = encodeURIComponent(this.containerId) + "=",
+            entries = this._hashEntries().reject(function(candidate) {
+                return candidate.startsWith(key);
+            }),
+            hash;
+        
+        if (values.length > 0)
+            entries.push(key + values.map(function(value) {
+                return [].concat(value).map(function(part) {
+                    return encodeURIComponent(part);
+                }).join(",");
+            }).join("/"));
+        
+        hash = entries.join("&");
+        if (hash != window.location.hash.replace(/^#/, ""))
+            window.location.hash = hash;
+    },
+    /**
+     * @memberOf Browser
+     * @description Split location.hash into its '&'-separated entries
+     *
+     * @returns {Array} the entries, as strings
+     */
+    _hashEntries: function() {
+        var hash = window.location.hash.replace(/^#/, "");
+        return (hash) ? hash.split("&") : [];
+    },
+    /**
+     * @memberOf Browser
+     * @description Take a snapshot of the browser's state, which can be turned into JSON and
+     * given back to Browser#restore (on a later visit, say):
+     *  version     the format of the snapshot (1)
+     *  path        the selected values, by column (an array for several selected in a column)
+     *  active      the position of the column the keyboard works in, or -1
+     *  columns     for each column: its id, value, valueName, scrollTop, isEnabled, filterText
+     *              and sort (when it is one of Column.sorts)
+     *
+     * @returns {Object} the snapshot
+     */
+    serialize: function() {
+        return {
+            version: 1,
+            path: this.getSelectedPath().pluck("value"),
+            active: (this.activeColumn) ? this.activeColumn.position : -1,
+            columns: this.columns.map(function(column) {
+                return {
+                    id: column.columnContainerId,
+                    value: column.value,
+                    valueName: column.valueName,
+                    scrollTop: column.scrollTop,
+                    isEnabled: column.isEnabled,
+                    filterText: column.filterText,
+                    sort: (Object.isString(column.sort)) ? column.sort : null
+                };
+            })
+        };
+    },
+    /**
+     * @memberOf Browser
+     * @description Put the browser back in the state of a snapshot from Browser#serialize.
+     * The path is selected first (see Browser#selectPath), loading the children along it,
+     * then each column found gets its filter, sort, enabled state and scroll position back.
+     * @param {Object|String} snapshot the snapshot, or its JSON
+     *
+     * @returns {Promise} resolves to the selected path, or rejects when the JSON is bad
+     */
+    restore: function(snapshot) {
+        var browser = this;
+        
+        if (Object.isString(snapshot)) {
+            try {
+                // Sanitized, so the JSON can't run code
+                snapshot = snapshot.evalJSON(true);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        if (!snapshot || snapshot.version != 1)
+            return Promise.resolve(this.getSelectedPath());
+        
+        this.isRestoring = true;
+        
+        return this.selectPath(snapshot.path || []).then(function() {
+            $A(snapshot.columns).each(function(state) {
+                var column = browser.columns.find(function(candidate) {
+                    return candidate.columnContainerId == state.id;
+                });
+                
+                if (column)
+                    column.restoreState(state);
+            });
+            
+            if (browser.columns[snapshot.active])
+                browser.setActive(browser.columns[snapshot.active], browser.columns[snapshot.active].getSelectedItem());
+            
+            browser.isRestoring = false;
+            return browser.getSelectedPath();
+        }, function(error) {
+            browser.isRestoring = false;
+            throw error;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Save the browser's state as it changes, and restore it when the browser is
+     * drawn, so users come back to where they left off. When hash tracking is on (see
+     * Browser#setHashTracking), a path in location.hash wins over the saved one. An adapter
+     * has the methods:
+     *  load(key)               returns the saved snapshot (or a Promise of it), or null
+     *  save(key, snapshot)     saves a snapshot (see Browser#serialize)
+     * @param {Object|boolean} adapter the adapter, true for Browser.localStorageAdapter, or
+     *              false to stop saving
+     * @param {Object} options (optional) settings:
+     *              key {String} the name to save under (default "browser:" + containerId)
+     *
+     * @returns {Object} the old adapter, or null
+     */
+    setPersistence: function(adapter, options) {
+        var oldAdapter = this.persistence;
+        
+        this.persistence = (adapter === true) ? Browser.localStorageAdapter : (adapter || null);
+        this.persistenceKey = (options && options.key) || "browser:" + this.containerId;
+        
+        if (this.persistence && !this.persistListener) {
+            this.persistListener = this._stateChanged.bind(this);
+            this.on("pathChange", this.persistListener);
+            this.on("columnUpdated", this.persistListener);
+        } else if (!this.persistence && this.persistListener) {
+            this.off("pathChange", this.persistListener);
+            this.off("columnUpdated", this.persistListener);
+            this.persistListener = null;
+            window.clearTimeout(this.persistTimer);
+        }
+        
+        return oldAdapter;
+    },
+    /**
+     * @memberOf Browser
+     * @description Restore the state saved by the persistence adapter, if there is one
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    _restoreSavedState: function() {
+        var adapter = this.persistence,
+            key = this.persistenceKey;
+        
+        return Promise.resolve().then(function() {
+            return adapter.load(key);
+        }).then(function(snapshot) {
+            return this.restore(snapshot);
+        }.bind(this), function(error) {
+            Browser.log("Couldn't load the saved state", error);
+            return this.getSelectedPath();
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Save the state a moment after it changes (so scrolling, say, saves once),
+     * and keep the current history entry up to date (see Browser#back)
+     *
+     * @returns nothing
+     */
+    _stateChanged: function() {
+        if (this.isRestoring)
+            return;
+        
+        this._updateHistoryEntry();
+        
+        if (!this.persistence)
+            return;
+        
+        window.clearTimeout(this.persistTimer);
+        this.persistTimer = window.setTimeout(this.saveState.bind(this), 250);
+    },
+    /**
+     * @memberOf Browser
+     * @description Go back to the path selected before this one, like a web browser's Back
+     * button (also Alt+Left, or Cmd/Ctrl+[). The selection, filters and scroll position of
+     * every column are put back (see Browser#restore), loading children again as needed.
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    back: function() {
+        return this._goToHistory(this.historyIndex - 1);
+    },
+    /**
+     * @memberOf Browser
+     * @description Go forward again, after Browser#back (also Alt+Right, or Cmd/Ctrl+])
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    forward: function() {
+        return this._goToHistory(this.historyIndex + 1);
+    },
+    /**
+     * @memberOf Browser
+     * @description Whether there is a path to go back to (see Browser#back)
+     *
+     * @returns {boolean} true if Browser#back would change the path
+     */
+    canGoBack: function() {
+        return this.historyIndex > 0;
+    },
+    /**
+     * @memberOf Browser
+     * @description Whether there is a path to go forward to (see Browser#forward)
+     *
+     * @returns {boolean} true if Browser#forward would change the path
+     */
+    canGoForward: function() {
+        return this.historyIndex < this.history.length - 1;
+    },
+    /**
+     * @memberOf Browser
+     * @description Show Back and Forward buttons beside the title, when the browser is next drawn
+     * @param {boolean} enabled the new setting
+     *
+     * @returns {boolean} the old setting
+     */
+    setHistoryButtons: function(enabled) {
+        var oldValue = this.showHistoryButtons;
+        this.showHistoryButtons = !!enabled;
+        return oldValue;
+    },
+    /**
+     * @memberOf Browser
+     * @description Forget the paths selected so far, starting again from the current one
+     *
+     * @returns nothing
+     */
+    clearHistory: function() {
+        this.history = [this.serialize()];
+        this.historyIndex = 0;
+        this._updateHistoryButtons();
+    },
+    /**
+     * @memberOf Browser
+     * @description Move to an entry in the history, restoring its snapshot
+     * @param {int} index the position of the entry
+     *
+     * @returns {Promise} resolves to the selected path
+     */
+    _goToHistory: function(index) {
+        var snapshot = this.history[index];
+        
+        if (!snapshot || this.isNavigatingHistory)
+            return Promise.resolve(this.getSelectedPath());
+        
+        this._updateHistoryEntry();
+        this.historyIndex = index;
+        this.isNavigatingHistory = true;
+        this._updateHistoryButtons();
+        
+        return this.restore(snapshot).then(function(path) {
+            this.isNavigatingHistory = false;
+            return path;
+        }.bind(this), function(error) {
+            this.isNavigatingHistory = false;
+            throw error;
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Add the selected path to the history (on a path change), dropping any
+     * entries Browser#back had gone back past. Changes made by going back and forward
+     * aren't added.
+     *
+     * @returns nothing
+     */
+    _recordHistory: function() {
+        var current = this.history[this.historyIndex];
+        
+        if (this.isNavigatingHistory)
+            return;
+        
+        if (current && Object.toJSON(current.path) == Object.toJSON(this.getSelectedPath().pluck("value"))) {
+            this.history[this.historyIndex] = this.serialize();
+            return;
+        }
+        
+        this.history = this.history.slice(0, this.historyIndex + 1);
+        this.history.push(this.serialize());
+        if (this.history.length > this.historyLimit)
+            this.history.shift();
+        this.historyIndex = this.history.length - 1;
+        
+        this._updateHistoryButtons();
+    },
+    /**
+     * @memberOf Browser
+     * @description Refresh the snapshot of the current history entry (after scrolling, say),
+     * as long as it still has the selected path
+     *
+     * @returns nothing
+     */
+    _updateHistoryEntry: function() {
+        var current = this.history[this.historyIndex];
+        
+        if (current && !this.isNavigatingHistory &&
+                Object.toJSON(current.path) == Object.toJSON(this.getSelectedPath().pluck("value")))
+            this.history[this.historyIndex] = this.serialize();
+    },
+    /**
+     * @memberOf Browser
+     * @description Build the Back and Forward buttons (see Browser#setHistoryButtons)
+     *
+     * @returns {DOMElement} the toolbar holding them
+     */
+    _renderHistoryButtons: function() {
+        var toolbar = new Element("div", {"class": "browser-toolbar", "role": "toolbar", "aria-label": "History"}),
+            back = new Element("button", {"type": "button", "class": "browser-back", "aria-label": "Back", "title": "Back"}).update("&#9664;"),
+            forward = new Element("button", {"type": "button", "class": "browser-forward", "aria-label": "Forward", "title": "Forward"}).update("&#9654;");
+        
+        back.observe("click", this.back.bind(this));
+        forward.observe("click", this.forward.bind(this));
+        
+        toolbar.appendChild(back);
+        toolbar.appendChild(forward);
+        
+        return toolbar;
+    },
+    /**
+     * @memberOf Browser
+     * @description Enable or disable the Back and Forward buttons, if drawn
+     *
+     * @returns nothing
+     */
+    _updateHistoryButtons: function() {
+        var container = $(this.containerId),
+            back = container && container.down("button.browser-back"),
+            forward = container && container.down("button.browser-forward");
+        
+        if (back)
+            back.disabled = !this.canGoBack();
+        if (forward)
+            forward.disabled = !this.canGoForward();
+    },
+    /**
+     * @memberOf Browser
+     * @description Save the state now with the persistence adapter (see Browser#setPersistence)
+     *
+     * @returns {Promise} resolves once saved
+     */
+    saveState: function() {
+        var adapter = this.persistence,
+            key = this.persistenceKey,
+            snapshot;
+        
+        window.clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        
+        if (!adapter)
+            return Promise.resolve();
+        
+        snapshot = this.serialize();
+        
+        return Promise.resolve().then(function() {
+            return adapter.save(key, snapshot);
+        }).then(Prototype.emptyFunction, function(error) {
+            Browser.log("Couldn't save the state", error);
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Keep the children loaded by providers, by the path of their parent, so
+     * going back to a parent draws its children straight away rather than loading them
+     * again. Hovering over an item for a moment loads its children ahead of time, and a
+     * load already in flight for a parent is shared. The browser's own moves, deletes and
+     * creates (see Browser#setDragAndDrop and Browser#setEditing) drop the children of the
+     * parents they change; after other changes to the data, drop what is out of date with
+     * Browser#invalidateCache.
+     * @param {Object|boolean} options settings for the cache, true for the defaults, or
+     *              false to stop caching:
+     *              ttl {int} how long children are kept, in milliseconds (default 300000)
+     *              maxEntries {int} how many parents' children are kept, dropping the least
+     *                  recently used first (default 100)
+     *              prefetchDelay {int} how long to hover before prefetching, in milliseconds,
+     *                  or -1 not to prefetch (default 300)
+     *
+     * @returns {ChildCache} the old cache, or null
+     */
+    setCache: function(options) {
+        var oldCache = this.cache;
+        
+        this._cancelPrefetch();
+        
+        if (options) {
+            options = (options === true) ? {} : options;
+            this.cache = new ChildCache(options.ttl, options.maxEntries);
+            this.prefetchDelay = (typeof options.prefetchDelay != 'undefined') ? options.prefetchDelay : 300;
+        } else {
+            this.cache = null;
+        }
+        
+        return oldCache;
+    },
+    /**
+     * @memberOf Browser
+     * @description Drop cached children (see Browser#setCache), so they are loaded again when
+     * next shown
+     * @param {Array} path (optional) the values leading to the parent (as in
+     *              Browser#selectPath); its children, and those of every parent below it, are
+     *              dropped. Without it, the whole cache is emptied.
+     *
+     * @returns nothing
+     */
+    invalidateCache: function(path) {
+        if (!this.cache)
+            return;
+        
+        if (typeof path == 'undefined')
+            this.cache.clear();
+        else
+            this.cache.invalidate(this._pathKey(path));
+    },
+    /**
+     * @memberOf Browser
+     * @description Drop the cached children of a parent once the browser has changed them
+     * (by a move, delete or create), with those of the parents below it
+     * @param {ColumnItem} parentItem the parent, or null for the top level
+     *
+     * @returns nothing
+     */
+    _invalidateChildren: function(parentItem) {
+        var column;
+        
+        if (!this.cache)
+            return;
+        
+        if (!parentItem) {
+            // Just the top level's own entry; the paths below it are unchanged
+            this.cache.remove("");
+            this.cache._dropPending("");
+            return;
+        }
+        
+        column = this._columnHolding(parentItem);
+        
+        // Without the parent on-screen, its path can't be worked out
+        if (column)
+            this.cache.invalidate(this._cacheKey(column, parentItem));
+        else
+            this.cache.clear();
+    },
+    /**
+     * @memberOf Browser
+     * @description Load an item's children into the cache ahead of time (see Browser#setCache)
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item
+     *
+     * @returns {Promise} resolves once the children are cached (or right away, when there is
+     *              nothing to load)
+     */
+    prefetch: function(column, item) {
+        var next = this.columns[column.position + 1],
+            provider = (this.columnFactory) ? this.provider : (next && next.provider),
+            key;
+        
+        if (!this.cache || !provider || item.isEmpty || (this.columnFactory && !item.hasChildren))
+            return Promise.resolve(false);
+        
+        key = this._cacheKey(column, item);
+        if (this.cache.get(key))
+            return Promise.resolve(true);
+        
+        return this.cache.fetch(key, function(signal) {
+            return provider.call(next || column, item, signal);
+        }).then(function() {
+            return true;
+        }, function(error) {
+            Browser.log("Prefetch failed", error);
+            return false;
+        });
+    },
+    /**
+     * @memberOf Browser
+     * @description Prefetch an item's children once the pointer has stayed on it for
+     * prefetchDelay (on mouseover in a column)
+     * @param {Column} column the column holding the item
+     * @param {ColumnItem} item the item hovered over
+     *
+     * @returns nothing
+     */
+    _schedulePrefetch: function(column, item) {
+        if (!this.cache || this.prefetchDelay < 0 || this.prefetchTarget === item)
+            return;
+        
+        this._cancelPrefetch();
+        this.prefetchTarget = item;
+        this.prefetchTimer = window.setTimeout(function() {
+            this.prefetchTimer = null;
+            this.prefetchTarget = null;
+            this.prefetch(column, item);
+        }.bind(this), this.prefetchDelay);
+    },
+    /**
+     * @memberOf Browser
+     * @description Cancel a prefetch scheduled by Browser#_schedulePrefetch
+     *
+     * @returns nothing
+     */
+    _cancelPrefetch: function() {
+        window.clearTimeout(this.prefetchTimer);
+        this.prefetchTimer = null;
+        this.prefetchTarget = null;
+    },
+    /**
+     * @memberOf Browser
+     * @description The cache key for a parent's children: the path leading to the parent
+     * @param {Column} column the column holding the parent (ignored for the top level)
+     * @param {ColumnItem} parentItem the parent, or null for the top level
+     *
+     * @returns {String} the key
+     */
+    _cacheKey: function(column, parentItem) {
+        return (parentItem) ? this._pathKey(this.pathTo(column, parentItem).pluck("value")) : "";
+    },
+    /**
+     * @memberOf Browser
+     * @description Turn the values along a path into a cache key, as "value/value/..." (with
+     * several values in a column separated by ',')
+     * @param {Array} values the values
+     *
+     * @returns {String} the key
+     */
+    _pathKey: function(values) {
+        return $A(values).map(function(value) {
+            return [].concat(value).map(function(part) {
+                return encodeURIComponent(part);
+            }).join(",");
+        }).join("/");
+    },
+    /**
+     * @memberOf Browser
+     * @description Track the column and item the keyboard navigation works from. Every
+     * selection, by mouse or keyboard, lands here. The column's list item gets a
+     * 'browser-active' class, and the item is scrolled into view.
+     * @param {Column} column the column to make active (or null)
+     * @param {ColumnItem} item the active item in that column (or null)
+     *
+     * @returns nothing
+     */
+    setActive: function(column, item) {
+        var hadFocus = this._hasFocus();
+        
+        if (this.activeColumn && $(this.activeColumn.domId))
+            $(this.activeColumn.domId).up("li").removeClassName("browser-active");
+        if (this.activeItem && this.activeItem.element)
+            this.activeItem.element.writeAttribute("tabindex", "-1");
+        
+        this.activeColumn = column || null;
+        this.activeItem = item || null;
+        
+        // One column at a time, the active one is the one on-screen
+        if (column && column.position >= 0 && this.narrowPosition != column.position) {
+            this.narrowPosition = column.position;
+            if (this.isNarrow)
+                this._updateViewport();
+        }
+        
+        this._updateTabStop();
+        
+        if (!column || !$(column.domId))
+            return;
+        
+        $(column.domId).up("li").addClassName("browser-active");
+        if (item)
+            column.scrollToItem(item);
+        this._scrollColumnIntoView(column);
+        
+        if (item && item.element)
+            item.element.writeAttribute("tabindex", "0");
+        this._updateTabStop();
+        if (hadFocus)
+            this.focus();
+    },
+    /**
+     * @memberOf Browser
+     * @description Keep one tab stop in the browser (a roving tabindex): the active item's
+     * row while it is on the page, or else the container. Called whenever rows are redrawn,
+     * as the row may have scrolled out of the drawn window or been removed.
+     *
+     * @returns nothing
+     */
+    _updateTabStop: function() {
+        var container = $(this.containerId),
+            row = (this.activeItem) ? this.activeItem.element : null;
+        
+        if (container)
+            container.writeAttribute("tabindex", (row && $(row).descendantOf(container)) ? "-1" : "0");
+    },
+    /**
+     * @memberOf Browser
+     * @description Move the keyboard focus to the active item's row, or to the browser
+     * container when there is no such row on-screen
+     *
+     * @returns nothing
+     */
+    focus: function() {
+        var target = (this.activeItem && this.activeItem.element) || $(this.containerId);
+        
+        if (target && document.activeElement !== target)
+            target.focus();
+    },
+    /**
+     * @memberOf Browser
+     * @description Whether the keyboard focus is in the browser container (not counting
+     * filter boxes and other inputs in it)
+     *
+     * @returns {boolean} true if the browser has the focus
+     */
+    _hasFocus: function() {
+        var container = $(this.containerId),
+            focused = $(document.activeElement);
+        
+        return !!container && !!focused && !focused.match("input, textarea, select") &&
+            (focused === container || focused.descendantOf(container));
+    },
+    /**
+     * @memberOf Browser
+     * @description Have screen readers read out a message, through the browser's live region
+     * (which is drawn off-screen). Changes to the selected path are announced this way (see
+     * pathMessage and emptyPathMessage).
+     * @param {String} message the text to read out
+     *
+     * @returns nothing
+     */
+    announce: function(message) {
+        var region = $(this.containerId + "_announcer");
+        
+        if (region)
+            region.update(Browser.escapeHTML(message));
+    },
+    /**
+     * @memberOf Browser
+     * @description Handle the keyboard navigation, on keydown in the browser container:
+     *  Up/Down         select the previous/next item in the active column
+     *  Home/End        select the first/last item
+     *  PageUp/PageDown move a column-full of items at a time
+     *  Right           go into the next column, which holds the selected item's children
+     *  Left            go back to the parent column
+     *  Enter           activate the selected item, like a double-click
+     *  Ctrl/Cmd+A      select every item, in a multi-select column
+     *  F2              rename the selected item, when editing is on (see Browser#setEditing)
+     *  Delete          delete the selected item, when editing is on
+     *  Menu/Shift+F10  open the selected item's context menu (see Browser#setContextMenu)
+     *  Alt+Left/Right  go back or forward through the selected paths (see Browser#back), as
+     *                  do Cmd/Ctrl+[ and ]
+     *  other keys      jump to the first item starting with what was typed (see Browser#typeAhead)
+     * Holding Shift while moving extends the selection in a multi-select column. Keys typed
+     * in a column's filter box are left alone.
+     * Selections go through Column#dispatchItemEvent, just like a click.
+     * @param {Event} event the keydown event
+     *
+     * @returns nothing
+     */
+    handleKeydown: function(event) {
+        var column = this.activeColumn || this.columns[0],
+            handled = true;
+        
+        if (!column || Event.element(event).match("input, textarea, select"))
+            return;
+        
+        if ((event.ctrlKey || event.metaKey) && event.keyCode == 65 && column.isMultiSelect) {
+            column.selectAll(event);
+            Event.stop(event);
+            return;
+        }
+        
+        // Alt+Left/Right, or Cmd/Ctrl+[ and ], go back and forward (see Browser#back)
+        if ((event.altKey && (event.keyCode == Event.KEY_LEFT || event.keyCode == Event.KEY_RIGHT)) ||
+                ((event.ctrlKey || event.metaKey) && (event.keyCode == 219 || event.keyCode == 221))) {
+            (event.keyCode == Event.KEY_LEFT || event.keyCode == 219) ? this.back() : this.forward();
+            Event.stop(event);
+            return;
+        }
+        
+        // Leave the modified keys to the page
+        if (event.altKey || event.ctrlKey || event.metaKey)
+            return;
+        
+        switch (event.keyCode) {
+            case Event.KEY_UP:
+                this.moveSelection(column, -1, event);
+                break;
+            case Event.KEY_DOWN:
+                this.moveSelection(column, 1, event);
+                break;
+            case Event.KEY_HOME:
+                this.moveSelection(column, -column.items.length, event);
+                break;
+            case Event.KEY_END:
+                this.moveSelection(column, column.items.length, event);
+                break;
+            case Event.KEY_PAGEUP:
+                this.moveSelection(column, -column.getPageSize(), event);
+                break;
+            case Event.KEY_PAGEDOWN:
+                this.moveSelection(column, column.getPageSize(), event);
+                break;
+            case Event.KEY_RIGHT:
+                this.enterNextColumn(column, event);
+                break;
+            case Event.KEY_LEFT:
+                if (column.position > 0)
+                    this.setActive(this.columns[column.position-1], this.columns[column.position-1].getSelectedItem());
+                break;
+            case Event.KEY_RETURN:
+                if (this.activeItem)
+                    column.dispatchItemEvent('dblclick', this.activeItem, event, true);
+                break;
+            case 93: // the context menu key
+                handled = !!this.activeItem && !!this.openContextMenu(column, this.activeItem, null);
+                break;
+            case 121: // F10
+                handled = event.shiftKey && !!this.activeItem && !!this.openContextMenu(column, this.activeItem, null);
+                break;
+            case 113: // F2
+                handled = this.isEditable && !!this.activeItem;
+                if (handled)
+                    this.startRename(column, this.activeItem);
+                break;
+            case Event.KEY_DELETE:
+                handled = this.isEditable && !!this.activeItem;
+                if (handled)
+                    this.deleteItem(column, this.activeItem);
+                break;
+            default:
+                handled = (event.key && event.key.length == 1 && event.key != " ") ?
+                    this.typeAhead(column, event.key, event) != null : false;
+        }
+        
+        if (handled)
+            Event.stop(event);
+    },
+    /**
+     * @memberOf Browser
+     * @description Select the item a number of places away from the active item in a column,
+     * stopping at either end. With no active item, this starts from the first item going
+     * down, or the last going up. Placeholder items are skipped.
+     * @param {Column} column the column to move in
+     * @param {int} offset how many items to move (negative to move up)
+     * @param {Event} event the event causing the move
+     *
+     * @returns {ColumnItem} the selected item, or null if there is nothing to select
+     */
+    moveSelection: function(column, offset, event) {
+        var items = column.getSelectableItems(),
+            index = items.indexOf(this.activeItem);
+        
+        if (items.length == 0)
+            return null;
+        
+        if (index == -1)
+            index = (offset > 0) ? 0 : items.length - 1;
+        else
+            index = Math.min(items.length - 1, Math.max(0, index + offset));
+        
+        if (items[index] !== this.activeItem || this.activeColumn !== column)
+            column.dispatchItemEvent('click', items[index], event, true);
+        
+        return items[index];
+    },
+    /**
+     * @memberOf Browser
+     * @description Jump to the first item in the column whose name starts with what has been
+     * typed, Finder-style. Characters typed within a second of each other build up the text
+     * to look for.
+     * @param {Column} column the column to look in
+     * @param {String} character the character just typed
+     * @param {Event} event the event for the key
+     *
+     * @returns {ColumnItem} the selected item, or null if nothing matches
+     */
+    typeAhead: function(column, character, event) {
+        var text, item;
+        
+        window.clearTimeout(this.typeAheadTimer);
+        this.typeAheadTimer = window.setTimeout(function() {
+            this.typeAheadBuffer = "";
+        }.bind(this), 1000);
+        
+        this.typeAheadBuffer += character.toLowerCase();
+        text = this.typeAheadBuffer;
+        
+        item = column.getSelectableItems().find(function(candidate) {
+            return candidate.name.toLowerCase().startsWith(text);
+        });
+        
+        if (item && item !== this.activeItem)
+            column.dispatchItemEvent('click', item, event, true);
+        
+        return item || null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Move the keyboard navigation into the column after the given one. Its
+     * selected item stays selected, otherwise the first item is selected. When that column
+     * is still loading, this waits for it.
+     * @param {Column} column the column to move on from
+     * @param {Event} event the event causing the move
+     *
+     * @returns {Promise} resolves once the next column is active
+     */
+    enterNextColumn: function(column, event) {
+        var next = this.columns[column.position+1];
+        
+        if (!next)
+            return Promise.resolve(false);
+        
+        return next.whenLoaded().then(function() {
+            if (next.getSelectedItem())
+                this.setActive(next, next.getSelectedItem());
+            else if (this.moveSelection(next, 1, event) == null)
+                return false;
+            
+            return true;
+        }.bind(this));
+    },
+    /**
+     * @memberOf Browser
+     * @description Switch to showing one column at a time whenever the container is narrower
+     * than a threshold (on phones, say). The columns slide sideways as the selection moves
+     * into children, under a header with a Back button and a breadcrumb of the path. The
+     * selection, handlers and values work just as with the columns side by side; the
+     * container has the 'browser-narrow' class while narrow.
+     * @param {int|boolean} threshold the width in pixels below which to show one column, true
+     *              for 480, or false to always show the columns side by side
+     *
+     * @returns {int} the old threshold (0 when off)
+     */
+    setResponsive: function(threshold) {
+        var oldThreshold = this.narrowWidth;
+        
+        this.narrowWidth = (threshold === true) ? 480 : (threshold || 0);
+        
+        if (this.narrowWidth && !this.resizeListener) {
+            this.resizeListener = this._checkNarrow.bind(this);
+            Event.observe(window, "resize", this.resizeListener);
+        } else if (!this.narrowWidth && this.resizeListener) {
+            Event.stopObserving(window, "resize", this.resizeListener);
+            this.resizeListener = null;
+        }
+        
+        this._checkNarrow();
+        
+        return oldThreshold;
+    },
+    /**
+     * @memberOf Browser
+     * @description Show a column, making it the active one. When showing one column at a
+     * time (see Browser#setResponsive), the columns slide over to it.
+     * @param {int} position the position of the column
+     *
+     * @returns nothing
+     */
+    showColumn: function(position) {
+        var column = this.columns[position];
+        
+        if (!column)
+            return;
+        
+        this.setActive(column, column.getSelectedItem());
+        this.narrowPosition = position;
+        this._updateViewport();
+    },
+    /**
+     * @memberOf Browser
+     * @description Switch between one column at a time and the columns side by side, when the
+     * container's width crosses the threshold (see Browser#setResponsive). While narrow, the
+     * columns are laid out again for the container's new width.
+     *
+     * @returns nothing
+     */
+    _checkNarrow: function() {
+        var container = $(this.containerId),
+            columnContainer = $(this.containerId+"_columnContainer"),
+            header = $(this.containerId+"_narrowHeader"),
+            narrow = !!this.narrowWidth && !!container && container.getWidth() < this.narrowWidth;
+        
+        // Still narrow, the container may have changed width all the same
+        if (narrow == this.isNarrow) {
+            if (narrow)
+                this._updateViewport();
+            return;
+        }
+        
+        this.isNarrow = narrow;
+        
+        if (container)
+            (narrow) ? container.addClassName("browser-narrow") : container.removeClassName("browser-narrow");
+        if (header)
+            (narrow) ? header.show() : header.hide();
+        
+        // Back to the columns' own widths
+        if (!narrow && columnContainer) {
+            columnContainer.setStyle({transform: "", transition: ""});
+            columnContainer.up().setStyle({overflowX: "auto"});
+            columnContainer.childElements().each(function(child) {
+                child.setStyle({width: ""});
+            });
+        }
+        
+        this._updateViewport();
+    },
+    /**
+     * @memberOf Browser
+     * @description Lay the columns out one at a time: each as wide as the container, with the
+     * row of them slid over to the one on-screen
+     *
+     * @returns nothing
+     */
+    _layoutNarrow: function() {
+        var columnContainer = $(this.containerId+"_columnContainer"),
+            viewport = columnContainer.up(),
+            width = viewport.getWidth(),
+            panels = columnContainer.childElements().select(function(child) {
+                return child.tagName.toUpperCase() == "LI";
+            });
+        
+        this.narrowPosition = Math.max(0, Math.min(this.narrowPosition, this.columns.length - 1));
+        
+        panels.each(function(panel) {
+            panel.setStyle({width: width + "px"});
+        });
+        viewport.setStyle({overflowX: "hidden"});
+        viewport.scrollLeft = 0;
+        columnContainer.setStyle({
+            width: (panels.length * width) + "px",
+            transform: "translateX(-" + (this.narrowPosition * width) + "px)",
+            transition: "transform 0.25s ease"
+        });
+        
+        this._updateNarrowHeader();
+    },
+    /**
+     * @memberOf Browser
+     * @description Build the header shown above the one column on-screen, with a Back button
+     * to the parent column and a breadcrumb of the path leading to it
+     *
+     * @returns {DOMElement} the header
+     */
+    _renderNarrowHeader: function() {
+        var header = new Element("div", {"id": this.containerId+"_narrowHeader", "class": "browser-narrow-header"});
+        
+        header.appendChild(new Element("button", {"type": "button", "class": "browser-up"}).update("&#8249; Back"));
+        header.appendChild(new Element("ol", {"class": "browser-breadcrumb", "aria-label": "Breadcrumb"}));
+        
+        // One listener for the Back button and the crumbs, which say which column they show
+        header.observe("click", function(event) {
+            var button = Event.findElement(event, "button");
+            
+            if (button && !button.disabled)
+                this.showColumn(parseInt(button.readAttribute("data-position"), 10));
+        }.bindAsEventListener(this));
+        
+        if (!this.isNarrow)
+            header.hide();
+        
+        return header;
+    },
+    /**
+     * @memberOf Browser
+     * @description Update the Back button and breadcrumb for the column on-screen
+     *
+     * @returns nothing
+     */
+    _updateNarrowHeader: function() {
+        var header = $(this.containerId+"_narrowHeader"),
+            position = this.narrowPosition,
+            crumbs = [this.browserTitle].concat(this.getSelectedPath().slice(0, position).map(function(entry) {
+                return [].concat(entry.name).join(", ");
+            }));
+        
+        if (!header)
+            return;
+        
+        header.down("button.browser-up").writeAttribute("data-position", String(position - 1)).disabled = position == 0;
+        header.down("ol.browser-breadcrumb").update(crumbs.map(function(name, i) {
+            return (i == crumbs.length - 1) ?
+                '<li aria-current="location">' + Browser.escapeHTML(name) + '</li>' :
+                '<li><button type="button" data-position="' + i + '">' + Browser.escapeHTML(name) + '</button></li>';
+        }).join(""));
+    },
+    /**
+     * @memberOf Browser
+     * @description Scroll the viewport sideways, if needed, so the given column can be seen.
+     * @param {Column} column the column to show
+     *
+     * @returns nothing
+     */
+    _scrollColumnIntoView: function(column) {
+        var columnContainer = $(this.containerId+"_columnContainer"),
+            viewport, left;
+        
+        if (!columnContainer)
+            return;
+        
+        viewport = columnContainer.up();
+        left = column.position * this.columnWidth;
+        
+        if (left < viewport.scrollLeft)
+            viewport.scrollLeft = left;
+        else if (left + this.columnWidth > viewport.scrollLeft + viewport.clientWidth)
+            viewport.scrollLeft = left + this.columnWidth - viewport.clientWidth;
+    },
+    /**
+     * @memberOf Browser
+     * @description Take the browser apart: every listener it added (to its container, the
+     * window, the document and a bound form) is removed, loads in flight are dropped, its
+     * columns and items are let go of, and the container is emptied. Several browsers can
+     * share a page, each namespacing its element ids with its containerId, so one can be
+     * destroyed without touching the others. Don't use the browser afterwards.
+     *
+     * @returns nothing
+     */
+    destroy: function() {
+        var container = $(this.containerId);
+        
+        this.closeContextMenu();
+        this.finishRename(false);
+        this._cancelScheduledRename();
+        this._cancelPrefetch();
+        this.unbindForm();
+        this.setHashTracking(false);
+        this.setPersistence(false);
+        this.setCache(false);
+        this.setResponsive(false);
+        window.clearTimeout(this.typeAheadTimer);
+        
+        this.columns.invoke("dispose");
+        this.columns = [];
+        this.activeColumn = null;
+        this.activeItem = null;
+        this.previewItem = null;
+        this.pendingPreview = null;
+        this.dragState = null;
+        this.listeners = {};
+        
+        if (container) {
+            if (this.keydownListener)
+                container.stopObserving("keydown", this.keydownListener);
+            container.select("*").invoke("stopObserving");
+            container.update().removeClassName("browser").removeAttribute("tabindex");
+        }
+        this.keydownListener = null;
+    },
+    /**
+     * @memberOf Browser
+     * @description Draws the browser to the screen, in the specified container. It calls
+     * update on all dependent items by simply updating each column. Styling handled
+     * by adding a 'browser' class to the base DIV, which should exist prior to
+     * rendering, or can be ignored. The columns sit inside a horizontally scrolling
+     * 'browser-viewport' DIV, which keeps the right-most column in view.
+     *
+     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
+     * 
+     * @returns nothing
+     */
+    draw: function (preserveColumnValues) {
+        
+        var container = $(this.containerId);
+        
+        if (!container.hasClassName("browser"))
+            container.addClassName("browser");
+        
+        // Focusable, so it can take the keyboard navigation (until an item is active, see
+        // Browser#setActive)
+        container.writeAttribute("tabindex", 0);
+        if (!this.keydownListener) {
+            this.keydownListener = this.handleKeydown.bindAsEventListener(this);
+            container.observe("keydown", this.keydownListener);
+        }
+        
+        // Let go of the old rows and their listeners before drawing new ones
+        this.closeContextMenu();
+        this.columns.invoke("detach");
+        container.select(".browser-toolbar button, .browser-narrow-header").invoke("stopObserving");
+        container.update();
+        this.activeColumn = null;
+        this.activeItem = null;
+            
+        var h2 = new Element("h2", {"id": this.containerId+"_title", "class": "title"});
+            h2.update(Browser.escapeHTML(this.browserTitle));
+        
+        container.appendChild(h2);
+        if (this.showHistoryButtons)
+            container.appendChild(this._renderHistoryButtons());
+        
+        // Without the values, the columns further right have nothing to show
+        if (this.columnFactory && !preserveColumnValues)
+            this.removeColumnsAfter(0);
+        
+        var viewport = new Element("div", {"class": "browser-viewport"});
+            viewport.setStyle({overflowX: "auto"});
+        var columnContainer = new Element("ul", {"id": this.containerId+"_columnContainer", "role": "group", "aria-labelledby": this.containerId+"_title"});
+        
+        for(var i = 0; i < this.columns.length; i++) {
+            columnContainer.appendChild(this.columns[i].render());
+        }
+        
+        this.previewItem = null;
+        if (this.previewRenderer)
+            columnContainer.appendChild(this._renderPreviewPane());
+        
+        var breaker = new Element("br");
+            breaker.setStyle({clear: "both"});
+        columnContainer.appendChild(breaker);
+        
+        viewport.appendChild(columnContainer);
+        container.appendChild(this._renderNarrowHeader());
+        container.appendChild(viewport);
+        
+        // Read out by screen readers, see Browser#announce
+        container.appendChild(new Element("div", {
+            "id": this.containerId + "_announcer", "class": "browser-announcer",
+            "role": "status", "aria-live": "polite", "aria-atomic": "true"
+        }).setStyle({position: "absolute", left: "-10000px", width: "1px", height: "1px", overflow: "hidden"}));
+        
+        if (typeof preserveColumnValues != 'undefined')
+            this.updateColumns(preserveColumnValues);
+        else
+            this.updateColumns(false);
+        
+        this.isNarrow = false;
+        this.narrowPosition = 0;
+        container.removeClassName("browser-narrow");
+        this._checkNarrow();
+        this._updateViewport();
+        
+        // Once the columns have their items back, show the preview of what is still selected
+        if (this.previewRenderer && preserveColumnValues)
+            Promise.all(this.columns.invoke("whenLoaded")).then(this._refreshPreview.bind(this));
+        
+        // A fresh start has nothing to go back to
+        if (!preserveColumnValues)
+            this.clearHistory();
+        else
+            this._updateHistoryButtons();
+        
+        if (this.hashTracking && (!this.persistence || this._readHashPath().length > 0))
+            this._restoreHashPath();
+        else if (this.persistence && !preserveColumnValues)
+            this._restoreSavedState();
+        
+        // The values were reset without a pathChange, so the form's inputs have to catch up,
+        // again once the providers have loaded
+        if (this.form) {
+            this._syncForm();
+            Promise.all(this.columns.invoke("whenLoaded")).then(this._syncForm.bind(this));
+        }
+    },
+    /**
+     * @memberOf Browser
+     * @description This updates the columns separate from the rendering phase, which handles
+     * other parts as well as updating the columns. Resets any columns' values.
+     *
+     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
+     *
+     * @returns nothing
+     */
+    updateColumns: function (preserveColumnValues) {
+        for(var i = 0; i < this.columns.length; i++) {
+            
+            if (typeof preserveColumnValues != 'undefined')
+                this.columns[i].update({'preserveColumnValues': preserveColumnValues});
+            else
+                this.columns[i].update({'preserveColumnValues': false});
+        }
+    }
+});
+
+/**
+ * @memberOf Browser
+ * @description Turn on to have Browser.log write to the console. Off by default.
+ */
+Browser.debug = false;
+
+/**
+ * @memberOf Browser
+ * @description Debug logger, used in place of the default item handlers. Writes its
+ * arguments to the console, when there is one and Browser.debug is on.
+ *
+ * @returns nothing
+ */
+Browser.log = function() {
+    if (Browser.debug && window.console && console.log)
+        console.log.apply(console, arguments);
+};
+
+/**
+ * @memberOf Browser
+ * @description Escape text for use in HTML, quotes included, so it is safe in attribute
+ * values too
+ * @param {String} text the text (anything else is turned into a string; null and
+ *              undefined become "")
+ *
+ * @returns {String} the escaped text
+ */
+Browser.escapeHTML = function(text) {
+    return String((text == null) ? "" : text).escapeHTML().replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+};
+
+/**
+ * @memberOf Browser
+ * @description The default persistence adapter (see Browser#setPersistence), keeping
+ * snapshots as JSON in window.localStorage. Storage that is missing or full is logged
+ * (see Browser.log) rather than thrown.
+ */
+Browser.localStorageAdapter = {
+    load: function(key) {
+        var json = window.localStorage && window.localStorage.getItem(key);
+        return (json) ? json.evalJSON(true) : null;
+    },
+    save: function(key, snapshot) {
+        if (window.localStorage)
+            window.localStorage.setItem(key, Object.toJSON(snapshot));
+    }
+};
+
+/**
+ * @class ColumnContainerClassSet
+ * 
+ * @description This contains static values for the columns' 'state' class value, so it can be styled properly.
+ */
+var ColumnContainerClassSet = function() {
+    this.FIRST = "first";
+    this.LAST = "last";
+    this.NONE = "";
+    this.BOTH = this.FIRST + " " + this.LAST;
+    
+    this.ALL_VALUES = [
+        this.FIRST,
+        this.LAST,
+        this.BOTH,
+        this.NONE
+    ];
+};
+
+/**
+ * @class Column
+ * 
+ * @description This object is for the columns, and should be inside the Browser object.
+ * Columns have state and labeling information, and lists of items inside them.
+ */
+var Column = Class.create({
+    /**
+     * @memberOf Column
+     * @description Initialize the column with the following details
+     * @constructor
+     * @param {String} label the label for the particular column
+     * @param {String} columnContainerId A coded name for the column (no spaces, special characters, etc.)
+     * @param {boolean} state determines whether the column is enabled or disabled to start
+     * @param {Function} provider (optional) loads the items for the column. See Column#setProvider
+     *
+     * @returns nothing
+     */
+    initialize: function(label, columnContainerId, state, provider) {
+        /// draw the default column with no items except a default message if specified
+        /// (see Column#setEmptyState)
+        this.valueName = null;
+        this.value = null;
+        
+        this.isEnabled = state;
+        this.label = label;
+        this.columnContainerId = columnContainerId;
+        // The id of the column's list on the page: the columnContainerId, namespaced by the
+        // browser's containerId once added to one (see Column#setBrowser)
+        this.domId = columnContainerId;
+        
+        // Position of the column, set by the browser object when added
+        this.position = -1;
+        this.scrollTop = 0;
+        
+        this.items = [];
+        
+        // Where the items come from, when they are loaded asynchronously
+        this.provider = provider || null;
+        this.parentItem = null;
+        // Handlers given to items the provider returns as plain nodes
+        this.itemHandlers = null;
+        // The load in flight; any other load finishing is stale and gets dropped
+        this.pendingLoad = null;
+        // Loads taking longer than this (in milliseconds, 0 for no limit) fail
+        this.loadTimeout = 30000;
+        
+        // What is shown in place of the items when there are none, or when they failed to
+        // load (#{message} being the error's); see Column#setEmptyState
+        this.emptyState = "No items";
+        this.errorMessage = "Couldn't load the items: #{message}";
+        this.error = null;
+        
+        // Multi-select keeps arrays in value/valueName; see Column#setMultiSelect
+        this.isMultiSelect = false;
+        this.selectionAnchor = null;
+        this.multipleSelectionMessage = "#{count} items selected";
+        
+        // Only items with names containing the filter text are shown; see Column#setFilterable
+        this.isFilterable = false;
+        this.filterText = "";
+        
+        // The order items are shown in (the order they were added in when null), the sorts
+        // offered in the header, and the section headers they are grouped under; see
+        // Column#setSort, Column#setSortOptions and Column#setGrouping
+        this.sort = null;
+        this.sortOptions = null;
+        this.grouping = null;
+        
+        // The right-click menu for this column's items; see Column#setContextMenu
+        this.contextMenu = null;
+        // How this column's item rows are drawn; see Column#setItemTemplate
+        this.itemTemplate = null;
+        
+        // Items by machineName, for finding the item behind an element
+        this.itemsById = {};
+        
+        // Windowed rendering: past virtualizeThreshold visible items, only the rows in view
+        // (plus a few either side) get elements. rowHeight is measured when not set.
+        this.virtualizeThreshold = 200;
+        this.rowHeight = null;
+        this.overscan = 10;
+        this.visibleItems = [];
+        this.renderedItems = [];
+        // The visible items with their section headers, one entry per row
+        this.rows = [];
+        // The visible items without the placeholders, for moving through with the keyboard
+        this.selectableItems = [];
+        // Set when the items, or their sort, filter or grouping, change, so the lists above
+        // are worked out again when next needed (see Column#getVisibleItems)
+        this.isOrderStale = true;
+        this.windowStart = 0;
+        this.windowEnd = 0;
+    },
+    /**
+     * @memberOf Column
+     * @description Set the function used to load the items for this column. It runs with
+     * 'this' as the column, and receives the selected item of the previous column (or null
+     * for the first column) and an AbortSignal (when the browser supports it), which is
+     * aborted once the result is no longer wanted. It should return a Promise of an array of
+     * ColumnItems, or of tree nodes (see Browser#loadTree). Browser#search calls the
+     * browser's provider too, with 'this' as the browser and no AbortSignal.
+     * @param {Function} provider the new provider, or null to fill the column by hand
+     *
+     * @returns {Function} the old provider
+     */
+    setProvider: function(provider) {
+        var oldProvider = this.provider;
+        this.provider = provider;
+        return oldProvider;
+    },
+    /**
+     * @memberOf Column
+     * @description Turn multi-select on or off for the column. With it on, Ctrl/Cmd-click
+     * toggles an item, Shift-click selects the range from the last item clicked, and
+     * Column#selectAll selects everything. The value and valueName of the column become
+     * arrays (or null when nothing is selected).
+     * @param {boolean} enabled the new setting
+     *
+     * @returns {boolean} the old setting
+     */
+    setMultiSelect: function(enabled) {
+        var oldValue = this.isMultiSelect;
+        this.isMultiSelect = !!enabled;
+        this.selectionAnchor = null;
+        return oldValue;
+    },
+    /**
+     * @memberOf Column
+     * @description Give the column a filter box in its header, which narrows the items shown
+     * to those with names containing the text typed in it. Takes effect when the column is
+     * next rendered.
+     * @param {boolean} enabled the new setting
+     *
+     * @returns {boolean} the old setting
+     */
+    setFilterable: function(enabled) {
+        var oldValue = this.isFilterable;
+        this.isFilterable = !!enabled;
+        return oldValue;
+    },
+    /**
+     * @memberOf Column
+     * @description Change the order the items are shown in, and redraw them. The items
+     * keep the order they were added in (see Column#addItem); only the drawing, and
+     * keyboard movement through them, follow the sort. Placeholders stay at the top.
+     * @param {String|Function|boolean} sort one of Column.sorts ("name" for the natural
+     *              order of names, "foldersFirst" for items with children first), true for
+     *              "name", a comparator function(a, b) of two ColumnItems, or null for the
+     *              order the items were added in
+     *
+     * @returns {String|Function} the old sort
+     */
+    setSort: function(sort) {
+        var oldSort = this.sort,
+            select = ($(this.domId)) ? $(this.domId).up("li").down("select.column-sort") : null;
+        
+        this.sort = (sort === true) ? "name" : (sort || null);
+        
+        if (select && Object.isString(this.sort))
+            select.value = this.sort;
+        
+        if (oldSort != this.sort) {
+            this._orderChanged();
+            if ($(this.domId))
+                this.updateList(true);
+        }
+        
+        return oldSort;
+    },
+    /**
+     * @memberOf Column
+     * @description Give the column a menu in its header for switching between sorts. Takes
+     * effect when the column is next rendered.
+     * @param {Array|boolean} keys the names of the Column.sorts to offer, in order, true
+     *              for all of them, or null for no menu
+     *
+     * @returns {Array} the old sort names
+     */
+    setSortOptions: function(keys) {
+        var oldKeys = this.sortOptions;
+        this.sortOptions = (keys === true) ? Object.keys(Column.sorts) : (keys || null);
+        return oldKeys;
+    },
+    /**
+     * @memberOf Column
+     * @description Group the items under section headers, and redraw them. The items of a
+     * group are shown together, in the order of the groups' first items (so sorting by name
+     * and grouping by first letter gives A, B, C...). Headers can't be selected.
+     * @param {String|Function} grouping one of Column.groupings ("letter" or "type"), a
+     *              function(item, column) returning the header text for an item (null for
+     *              none), or null for no headers
+     *
+     * @returns {String|Function} the old grouping
+     */
+    setGrouping: function(grouping) {
+        var oldGrouping = this.grouping;
+        this.grouping = grouping || null;
+        
+        if (oldGrouping != this.grouping) {
+            this._orderChanged();
+            if ($(this.domId))
+                this.updateList(true);
+        }
+        
+        return oldGrouping;
+    },
+    /**
+     * @memberOf Column
+     * @description Find the comparator of the column's sort (see Column#setSort)
+     *
+     * @returns {Function} the comparator, or null when the items keep the order they were added in
+     */
+    _comparator: function() {
+        return (Object.isFunction(this.sort)) ? this.sort : ((Column.sorts[this.sort] || {}).compare || null);
+    },
+    /**
+     * @memberOf Column
+     * @description Whether the items are shown in an order other than their own, because
+     * the column is sorted or grouped. Reordering by drag-and-drop is off while they are.
+     *
+     * @returns {boolean}
+     */
+    isReordered: function() {
+        return !!(this._comparator() || this.grouping);
+    },
+    /**
+     * @memberOf Column
+     * @description Get all of the items, in the order of the column's sort (see
+     * Column#setSort)
+     *
+     * @returns {Array} the ColumnItems, sorted
+     */
+    getSortedItems: function() {
+        var compare = this._comparator();
+        
+        if (!compare)
+            return this.items;
+        
+        // Keep the order of items that compare equal (and of placeholders)
+        return this.items.map(function(item, index) {
+            return {item: item, index: index};
+        }).sort(function(a, b) {
+            if (a.item.isEmpty || b.item.isEmpty)
+                return (!!b.item.isEmpty - !!a.item.isEmpty) || (a.index - b.index);
+            
+            return compare(a.item, b.item) || (a.index - b.index);
+        }).pluck("item");
+    },
+    /**
+     * @memberOf Column
+     * @description Find the section header an item goes under (see Column#setGrouping)
+     * @param {ColumnItem} item the item
+     *
+     * @returns {String} the header's text, or null for none
+     */
+    _sectionOf: function(item) {
+        var grouping = (Object.isFunction(this.grouping)) ? this.grouping : Column.groupings[this.grouping],
+            section = (grouping && !item.isEmpty) ? grouping(item, this) : null;
+        
+        return (section == null) ? null : String(section);
+    },
+    /**
+     * @memberOf Column
+     * @description Lay out the rows for the visible items: the items themselves, with a
+     * section header (a {section: text} entry) before each group when grouping is on
+     *
+     * @returns {Array} the rows, in order
+     */
+    _buildRows: function() {
+        var rows = [],
+            previous = null;
+        
+        if (!this.grouping)
+            return this.visibleItems.clone();
+        
+        this.visibleItems.each(function(item) {
+            var section = this._sectionOf(item);
+            
+            if (section != null && section !== previous)
+                rows.push({section: section});
+            previous = section;
+            rows.push(item);
+        }, this);
+        
+        return rows;
+    },
+    /**
+     * @memberOf Column
+     * @description Add the column to a browser (see Browser#addColumn). Its element ids are
+     * namespaced with the browser's containerId (unless they already start with it), so
+     * several browsers can share a page; item ids follow.
+     * @param {Browser} browser the browser
+     *
+     * @returns nothing
+     */
+    setBrowser: function(browser) {
+        var prefix = browser.containerId + "_";
+        
+        this.browser = browser;
+        this.domId = (this.columnContainerId.startsWith(prefix)) ? this.columnContainerId : prefix + this.columnContainerId;
+        
+        // Items added before now were named after the old id
+        this.itemsById = {};
+        this.items.each(function(item) {
+            item.machineName = this.domId.toLowerCase().replace(/ /g, "_") + "__" + item.itemKey;
+            this.itemsById[item.machineName] = item;
+        }, this);
+    },
+    /**
+     * @memberOf Column
+     * @description Let go of the column's elements: the listeners on them are removed, and
+     * items forget their rows. Done before the browser is redrawn.
+     *
+     * @returns nothing
+     */
+    detach: function() {
+        var ul = $(this.domId);
+        
+        if (ul) {
+            ul.up("li").select("input, select").invoke("stopObserving");
+            ul.stopObserving();
+        }
+        
+        this.renderedItems.each(function(item) {
+            item.element = null;
+        });
+        this.renderedItems = [];
+        this.windowStart = this.windowEnd = 0;
+    },
+    /**
+     * @memberOf Column
+     * @description Take the column apart, once it is removed from its browser: drop its load
+     * in flight, let go of its elements (taking them off the page) and of its items
+     *
+     * @returns nothing
+     */
+    dispose: function() {
+        var ul = $(this.domId);
+        
+        this.abortLoad();
+        this.detach();
+        if (ul)
+            ul.up("li").remove();
+        
+        this.clearItems();
+        this.parentItem = null;
+        this.pendingLoad = null;
+        this.position = -1;
+        this.browser = null;
+    },
+    /**
+     * @memberOf Column
+     * @description Give the column back its filter, sort, enabled state and scroll position,
+     * from a snapshot (see Browser#serialize). The selection is left to Browser#selectPath.
+     * @param {Object} state the column's part of the snapshot
+     *
+     * @returns nothing
+     */
+    restoreState: function(state) {
+        var ul = $(this.domId);
+        
+        if (typeof state.filterText != 'undefined' && state.filterText != this.filterText)
+            this.setFilter(state.filterText);
+        
+        if (state.sort && Column.sorts[state.sort] && state.sort != this.sort)
+            this.setSort(state.sort);
+        
+        if (typeof state.isEnabled != 'undefined' && !!state.isEnabled != this.isEnabled) {
+            (state.isEnabled) ? this.enable() : this.disable();
+            this.updateList(true);
+        }
+        
+        if (ul && state.scrollTop) {
+            ul.scrollTop = state.scrollTop;
+            this.scrollTop = ul.scrollTop;
+            this._renderWindow(this.scrollTop, false);
+        }
+    },
+    /**
+     * @memberOf Column
+     * @description Set what is shown in the column when it has no items to show (default
+     * "No items"). Takes effect when the items are next drawn.
+     * @param {String|Function} content the text to show (escaped), or a function(column)
+     *              returning HTML or an element, or "" to show nothing
+     *
+     * @returns {String|Function} the old content
+     */
+    setEmptyState: function(content) {
+        var oldContent = this.emptyState;
+        this.emptyState = content;
+        return oldContent;
+    },
+    /**
+     * @memberOf Column
+     * @description Load the items again, after an error (from the Retry button of the error
+     * state, say)
+     *
+     * @returns {Promise} resolves once the column has been drawn (see Column#update)
+     */
+    retry: function() {
+        this.error = null;
+        return this.update({'preserveColumnValues': true});
+    },
+    /**
+     * @memberOf Column
+     * @description Whether the column should show its empty state: it has nothing to show,
+     * but is enabled, or has loaded the (lack of) children of the selected parent
+     *
+     * @returns {boolean}
+     */
+    _isEmpty: function() {
+        if (this.visibleItems.length > 0 || this.error || this.pendingLoad)
+            return false;
+        
+        return this.isEnabled || (!!this.provider && (this.position <= 0 || !!this.parentItem));
+    },
+    /**
+     * @memberOf Column
+     * @description Build the row shown in place of the items: the error, with a Retry
+     * button, after a failed load; otherwise the empty state (if any)
+     *
+     * @returns {DOMElement} the row, or null for none
+     */
+    _renderState: function() {
+        var li;
+        
+        if (this.error) {
+            li = new Element("li", {"class": "browser-error", "role": "alert"});
+            li.update(Browser.escapeHTML(new Template(this.errorMessage).evaluate({
+                message: this.error.message || String(this.error)
+            })) + ' <button type="button" class="browser-retry">Retry</button>');
+            return li;
+        }
+        
+        if (!this.emptyState)
+            return null;
+        
+        li = new Element("li", {"class": "browser-empty", "role": "presentation"});
+        li.update((Object.isFunction(this.emptyState)) ? this.emptyState(this) : Browser.escapeHTML(this.emptyState));
+        return li;
+    },
+    /**
+     * @memberOf Column
+     * @description Set how this column's item rows are drawn, in place of the browser's
+     * template (see Browser#setItemTemplate). Takes effect when the items are next drawn.
+     * @param {String|Function} template the template, or null to use the browser's
+     *
+     * @returns {String|Function} the old template
+     */
+    setItemTemplate: function(template) {
+        var oldTemplate = this.itemTemplate;
+        this.itemTemplate = template || null;
+        return oldTemplate;
+    },
+    /**
+     * @memberOf Column
+     * @description The column's label, escaped for the header
+     *
+     * @returns {String} the label's HTML
+     */
+    _labelHTML: function() {
+        return Browser.escapeHTML(this.label) + "&#160;";
+    },
+    /**
+     * @memberOf Column
+     * @description Set the context menu for this column's items (and its empty space), in
+     * place of the browser's (see Browser#setContextMenu for the entries)
+     * @param {Array|Function} menu the menu entries, or null to use the browser's
+     *
+     * @returns {Array|Function} the old menu
+     */
+    setContextMenu: function(menu) {
+        var oldMenu = this.contextMenu;
+        this.contextMenu = menu || null;
+        return oldMenu;
+    },
+    /**
+     * @memberOf Column
+     * @description Change the filter text, and redraw the items. Selected items stay selected
+     * while they are hidden.
+     * @param {String} text the text item names must contain (ignoring case), or "" to show all
+     *
+     * @returns {String} the old filter text
+     */
+    setFilter: function(text) {
+        var oldText = this.filterText,
+            input = ($(this.domId)) ? $(this.domId).up("li").down("input.column-filter") : null;
+        
+        this.filterText = text || "";
+        
+        if (input && input.value != this.filterText)
+            input.value = this.filterText;
+        
+        if (oldText != this.filterText) {
+            this._orderChanged();
+            if ($(this.domId))
+                this.updateList(true);
+        }
+        
+        return oldText;
+    },
+    /**
+     * @memberOf Column
+     * @description Set the container class (first, last, none, both) for the given column
+     * @param {String} toValue The container class value
+     *
+     * @returns {String} the old container class value
+     */
+    setContainerClass: function(newClass) {
+        var oldValue = this.columnContainerClass;
+        this.columnContainerClass = newClass;
+        
+        return oldValue;
+    },
+    /**
+     * @memberOf Column
+     * @description change the label for a given column
+     * @param {String} newLabel the label to replace the existing one (text, not HTML)
+     *
+     * @returns {String} the old label
+     */
+    setLabel: function(newLabel) {
+        var oldLabel = this.label;
+        this.label = newLabel;
+        return oldLabel;
+    },
+    /**
+     * @memberOf Column
+     * @description Add an item to the given column
+     * @param itemToAdd {ColumnItem} the item being added to the Column
+     *
+     * @returns {int} the number of items in the column
+     */
+    addItem: function(itemToAdd) {
+        return this.insertItem(itemToAdd, this.items.length);
+    },
+    /**
+     * @memberOf Column
+     * @description Add an item to the given column, at the given index
+     * @param itemToAdd {ColumnItem} the item being added to the Column
+     * @param index {int} where the item goes among the column's items (past the end adds it last)
+     *
+     * @returns {int} the number of items in the column
+     */
+    insertItem: function(itemToAdd, index) {
+        itemToAdd.machineName = this.domId.toLowerCase().replace(/ /g, "_") + "__" + itemToAdd.itemKey;
+        this.itemsById[itemToAdd.machineName] = itemToAdd;
+        this.items.splice(Math.max(0, Math.min(index, this.items.length)), 0, itemToAdd);
+        this._orderChanged();
+        return this.items.length;
+    },
+    /**
+     * @memberOf Column
+     * @description Remove an item from the given column. If it was selected, the column's value
+     * no longer includes it.
+     * @param itemToRemove {ColumnItem} the item being removed from the Column
+     *
+     * @returns {int} the index the item had, or -1 if it wasn't in the column
+     */
+    removeItem: function(itemToRemove) {
+        var index = this.items.indexOf(itemToRemove);
+        
+        if (index == -1)
+            return -1;
+        
+        this.items.splice(index, 1);
+        delete this.itemsById[itemToRemove.machineName];
+        this._orderChanged();
+        
+        if (itemToRemove.selected) {
+            itemToRemove.selected = false;
+            this._updateValue();
+        }
+        if (this.selectionAnchor === itemToRemove)
+            this.selectionAnchor = null;
+        if (this.browser && this.browser.activeItem === itemToRemove)
+            this.browser.activeItem = null;
+        
+        return index;
+    },
+    /**
+     * @memberOf Column
+     * @description Remove all items from a Column's list of items (and any load error)
+     *
+     * @returns {int} the number of items in the Column (which should be zero)
+     */
+    clearItems: function() {
+        this.items.invoke("dispose");
+        this.items = [];
+        this.itemsById = {};
+        this.visibleItems = [];
+        this.renderedItems = [];
+        this.rows = [];
+        this.selectableItems = [];
+        this.isOrderStale = false;
+        this.error = null;
+        this.value = null;
+        this.valueName = null;
+        return this.items.length;
+    },
+    /**
+     * @memberOf Column
+     * @description Set the Column to be enabled
+     *
+     * @returns nothing
+     */
+    enable: function() {
+        this.isEnabled = true;
+    },
+    /**
+     * @memberOf Column
+     * @description Set the Column to be disabled
+     *
+     * @returns nothing
+     */
+    disable: function() {
+        this.isEnabled = false;
+    },
+    /**
+     * @memberOf Column
+     * @description Find the selected item in the Column
+     *
+     * @returns {ColumnItem} the selected item, or null if there is none
+     */
+    getSelectedItem: function() {
+        return this.items.find(function(item) { return item.selected; }) || null;
+    },
+    /**
+     * @memberOf Column
+     * @description Find all of the selected items in the Column (more than one in multi-select)
+     *
+     * @returns {Array} the selected ColumnItems, in order
+     */
+    getSelectedItems: function() {
+        return this.items.select(function(item) { return item.selected; });
+    },
+    /**
+     * @memberOf Column
+     * @description Get the items that can be selected, leaving out the placeholders and
+     * (unless asked for) the items hidden by the filter
+     * @param {boolean} includeHidden Should the items hidden by the filter be included.
+     *
+     * @returns {Array} the selectable ColumnItems, in order
+     */
+    getSelectableItems: function(includeHidden) {
+        if (!includeHidden) {
+            this.getVisibleItems();
+            return this.selectableItems;
+        }
+        
+        return this.items.reject(function(item) {
+            return item.isEmpty;
+        });
+    },
+    /**
+     * @memberOf Column
+     * @description Get the items shown on-screen: those with names containing the filter
+     * text, in the order of the column's sort, and kept together by group when grouping is
+     * on. Placeholders are always shown. The order is kept, and only worked out again after
+     * a change (see Column#_orderChanged).
+     *
+     * @returns {Array} the visible ColumnItems, in order
+     */
+    getVisibleItems: function() {
+        if (this.isOrderStale) {
+            this.visibleItems = this._orderItems();
+            this.selectableItems = this.visibleItems.reject(function(item) {
+                return item.isEmpty;
+            });
+            this.rows = this._buildRows();
+            this.isOrderStale = false;
+        }
+        
+        return this.visibleItems;
+    },
+    /**
+     * @memberOf Column
+     * @description Note that the items, their names, or the column's sort, filter or
+     * grouping have changed, so the visible items are sorted, filtered and grouped again
+     * when next needed. Call it after changing items' names or placeholder state directly.
+     *
+     * @returns nothing
+     */
+    _orderChanged: function() {
+        this.isOrderStale = true;
+    },
+    /**
+     * @memberOf Column
+     * @description Sort, filter and group the items (see Column#getVisibleItems)
+     *
+     * @returns {Array} the visible ColumnItems, in order
+     */
+    _orderItems: function() {
+        var text = this.filterText.toLowerCase(),
+            items = this.getSortedItems(),
+            groups = {},
+            order = [];
+        
+        if (text) {
+            items = items.select(function(item) {
+                return item.isEmpty || item.name.toLowerCase().include(text);
+            });
+        }
+        
+        if (!this.grouping)
+            return items;
+        
+        // Each group goes where its first item is
+        items.each(function(item) {
+            var section = this._sectionOf(item),
+                key = (section == null) ? "" : "#" + section;
+            
+            if (!groups[key]) {
+                groups[key] = [];
+                order.push(key);
+            }
+            groups[key].push(item);
+        }, this);
+        
+        return order.inject([], function(grouped, key) {
+            return grouped.concat(groups[key]);
+        });
+    },
+    /**
+     * @memberOf Column
+     * @description Find a (non-placeholder) item by value, whether or not it is filtered out
+     * @param {String} value the value of the item
+     *
+     * @returns {ColumnItem} the item, or null if there is none
+     */
+    findItem: function(value) {
+        return this.getSelectableItems(true).find(function(item) {
+            return item.value == value;
+        }) || null;
+    },
+    /**
+     * @memberOf Column
+     * @description Work out how many items fit in the visible part of the Column, for
+     * paging through it.
+     *
+     * @returns {int} the number of items in a page (at least 1)
+     */
+    getPageSize: function() {
+        var myUl = $(this.domId);
+        
+        if (!myUl || !myUl.clientHeight)
+            return 10;
+        
+        return Math.max(1, Math.floor(myUl.clientHeight / this._getRowHeight()));
+    },
+    /**
+     * @memberOf Column
+     * @description Scroll the Column's list, if needed, so the given item can be seen
+     * @param {ColumnItem} item the item to show
+     *
+     * @returns nothing
+     */
+    scrollToItem: function(item) {
+        var myUl = $(this.domId),
+            li = item.element,
+            top, height;
+        
+        if (!myUl || !this.visibleItems.include(item))
+            return;
+        
+        if (li && li.parentNode === myUl) {
+            top = li.offsetTop - ((li.offsetParent === myUl) ? 0 : myUl.offsetTop);
+            height = li.offsetHeight;
+        } else {
+            // Not drawn, outside the window of rows
+            height = this._getRowHeight();
+            top = this.rows.indexOf(item) * height;
+        }
+        
+        if (top < myUl.scrollTop)
+            myUl.scrollTop = top;
+        else if (top + height > myUl.scrollTop + myUl.clientHeight)
+            myUl.scrollTop = top + height - myUl.clientHeight;
+        
+        this.scrollTop = myUl.scrollTop;
+        this._renderWindow(this.scrollTop, false);
+    },
+    /** 
+     * @memberOf Column
+     * @description Draws the shell around the list that will be updated. should have the DOM
+     * structure like the following:
+     *  <li class="${this.isEnabled} list" role="presentation">
+     *      <h3 id="${this.domId}_label">${this.label}</h3>
+     *      <!-- or, with a filter box and/or a sort menu -->
+     *      <h3 id="..."><span class="column-label">${this.label}</span><input class="column-filter"/>
+     *          <select class="column-sort">...</select></h3>
+     *      <ul id="${this.domId}" class="${this.columnContainerClass}" role="listbox"
+     *          aria-labelledby="${this.domId}_label">
+     *          ...<!-- ColumnItems for this Column -->
+     *      </ul>
+     *  </li>
+     *
+     *  @returns {DOMElement} the outer list item where the contents will be
+     */
+    render: function() {
+        var outerLi = new Element("li", {"class": ((this.isEnabled) ? "enabled-list":"disabled-list"), "role": "presentation"});
+        var h3      = new Element("h3", {"id": this.domId+"_label"}).update(this._labelHTML());
+        var innerUl = new Element("ul", {
+            "id": this.domId,
+            "class": this.columnContainerClass,
+            "role": "listbox",
+            "aria-labelledby": this.domId+"_label",
+            "aria-multiselectable": String(this.isMultiSelect),
+            "aria-disabled": String(!this.isEnabled)
+        });
+        
+        if (this.isFilterable || this.sortOptions)
+            h3.update(new Element("span", {"class": "column-label"}).update(this._labelHTML()));
+        
+        if (this.isFilterable) {
+            var filter = new Element("input", {"type": "text", "class": "column-filter", "value": this.filterText, "aria-label": "Filter"});
+            
+            h3.appendChild(filter);
+            
+            filter.observe('input', function(event) {
+                this.setFilter(filter.value);
+            }.bindAsEventListener(this));
+        }
+        
+        if (this.sortOptions) {
+            var sortMenu = new Element("select", {"class": "column-sort", "aria-label": "Sort by"});
+            
+            this.sortOptions.each(function(key) {
+                if (Column.sorts[key])
+                    sortMenu.appendChild(new Element("option", {"value": key}).update(Browser.escapeHTML(Column.sorts[key].label)));
+            });
+            sortMenu.value = (Object.isString(this.sort)) ? this.sort : "none";
+            h3.appendChild(sortMenu);
+            
+            sortMenu.observe('change', function(event) {
+                this.setSort(sortMenu.value);
+                if (this.browser)
+                    this.browser._stateChanged();
+            }.bindAsEventListener(this));
+        }
+        
+        outerLi.appendChild(h3);
+        outerLi.appendChild(innerUl);
+        
+        // Attach an 'onscroll' event to the inner UL, so we can track positions across re-draws,
+        // and draw the rows scrolled into view
+        innerUl.observe('scroll', function(event) {
+            this.scrollTop = innerUl.scrollTop;
+            this._renderWindow(this.scrollTop, false);
+            if (this.browser)
+                this.browser._stateChanged();
+        }.bindAsEventListener(this));
+        
+        // One listener per event for the whole list. By binding to the column, we can make
+        // 'this' refer to the proper column and items. do this to set the selected state,
+        // and any other event functions to run.
+        // True / False determine if the regular state updating things will run.
+        innerUl.observe('click', this._bind_func('click', true).bindAsEventListener(this));
+        innerUl.observe('dblclick', this._bind_func('dblclick', true).bindAsEventListener(this));
+        innerUl.observe('mouseover', this._bind_func('mouseover', false).bindAsEventListener(this));
+        
+        // The Retry button of the error state (see Column#_renderState)
+        innerUl.observe('click', function(event) {
+            if (Event.findElement(event, "button.browser-retry"))
+                this.retry();
+        }.bindAsEventListener(this));
+        
+        // Right-clicks open the context menu of the item, or of the column itself
+        innerUl.observe('contextmenu', function(event) {
+            var li = Event.findElement(event, "li"),
+                item = (li) ? this.itemsById[li.id] : null;
+            
+            if (this.browser && (!item || !item.isEmpty))
+                this.browser.openContextMenu(this, item || null, event);
+        }.bindAsEventListener(this));
+        
+        // Drag-and-drop is handled by the browser (see Browser#setDragAndDrop)
+        innerUl.observe('dragstart', this._bind_drag('dragStart').bindAsEventListener(this));
+        innerUl.observe('dragover', this._bind_drag('dragOver').bindAsEventListener(this));
+        innerUl.observe('drop', this._bind_drag('drop').bindAsEventListener(this));
+        innerUl.observe('dragend', this._bind_drag('dragEnd').bindAsEventListener(this));
+        
+        return outerLi;
+    },
+    /**
+     * @memberOf Column
+     * @description This will update the content of the Column's list of ColumnItems. While
+     * processing, it will set a loading class, which can be styled appropriately. Items
+     * hidden by the filter are left out, and long lists only draw the rows in view (see
+     * Column#_renderWindow).
+     *
+     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
+     * 
+     * Binds 'this' in the specified functions to the Column clicked, and the element receives
+     * the event that occurred.
+     *
+     * @returns nothing
+     */
+    updateList: function(preserveColumnValues) {
+        this.getVisibleItems();
+        
+        if (typeof preserveColumnValues != 'undefined' && !preserveColumnValues) {
+            this.value = null;
+            this.valueName = null;
+        }
+        
+        // Set the label
+        var h3 = $(this.domId).previous("h3");
+            (h3.down(".column-label") || h3).update(this._labelHTML());
+        
+        // Update the enabled/disabled state here
+        var outerLi = $(this.domId).up("li");
+            outerLi.removeClassName("disabled-list");
+            outerLi.removeClassName("enabled-list");
+            outerLi.addClassName(((this.isEnabled) ? "enabled-list":"disabled-list"));
+        $(this.domId).writeAttribute({
+            "aria-disabled": String(!this.isEnabled),
+            "aria-multiselectable": String(this.isMultiSelect)
+        });
+        
+        this._renderWindow(this.scrollTop, true);
+        
+        if (this.browser) {
+            this.browser.fire("columnUpdated", {column: this, path: this.browser.pathTo(this, null)});
+            if (this._isEmpty())
+                this.browser.fire("columnEmpty", {column: this, path: this.browser.pathTo(this, null)});
+        }
+    },
+    /**
+     * @memberOf Column
+     * @description Draw the rows of the visible items. Short lists are drawn in full. Past
+     * virtualizeThreshold items, only the rows within the scrolled-to part of the list (plus
+     * overscan rows either side) are drawn, between two spacers (li.browser-spacer) that
+     * keep the full height of the list, so scrolling works as usual.
+     * @param {int} scrollTop where the list is scrolled to
+     * @param {boolean} force Should the rows be redrawn even if the window hasn't moved.
+     *
+     * @returns nothing
+     */
+    _renderWindow: function(scrollTop, force) {
+        var myUl = $(this.domId),
+            count = this.rows.length,
+            start = 0,
+            end = count,
+            rowHeight, viewHeight, hadFocus, rows, i;
+        
+        if (!myUl)
+            return;
+        
+        if (count > this.virtualizeThreshold) {
+            rowHeight = this._getRowHeight();
+            viewHeight = myUl.clientHeight || rowHeight * this.overscan;
+            start = Math.max(0, Math.floor(scrollTop / rowHeight) - this.overscan);
+            end = Math.min(count, Math.ceil((scrollTop + viewHeight) / rowHeight) + this.overscan);
+        }
+        
+        if (!force && start == this.windowStart && end == this.windowEnd)
+            return;
+        
+        this.windowStart = start;
+        this.windowEnd = end;
+        this.renderedItems.each(function(item) {
+            item.element = null;
+        });
+        rows = this.rows.slice(start, end);
+        this.renderedItems = rows.reject(function(row) { return !!row.section; });
+        
+        // The rows are replaced, so the focus has to be put back
+        hadFocus = !!document.activeElement && $(document.activeElement).descendantOf(myUl);
+        
+        myUl.update();
+        if (start > 0)
+            myUl.appendChild(this._spacer(start * rowHeight));
+        for (i = 0; i < rows.length; i++)
+            myUl.appendChild((rows[i].section) ? this._renderSection(rows[i].section) : this._renderRow(rows[i]));
+        if (end < count)
+            myUl.appendChild(this._spacer((count - end) * rowHeight));
+        
+        // Nothing to show: say why
+        if (this.error || this._isEmpty()) {
+            var stateRow = this._renderState();
+            if (stateRow)
+                myUl.appendChild(stateRow);
+        }
+        
+        if (count > this.virtualizeThreshold)
+            myUl.scrollTop = scrollTop;
+        
+        if (this.browser)
+            this.browser._updateTabStop();
+        if (hadFocus && this.browser)
+            this.browser.focus();
+    },
+    /**
+     * @memberOf Column
+     * @description Draw the row for an item, made draggable when drag-and-drop is on
+     * @param {ColumnItem} item the item
+     *
+     * @returns {DOMElement} the row
+     */
+    _renderRow: function(item) {
+        var li = item.render(this.itemTemplate || (this.browser && this.browser.itemTemplate), this);
+        
+        if (this.browser && this.browser.isDragEnabled && !item.isEmpty)
+            li.writeAttribute("draggable", "true");
+        if (this.browser && this.browser.activeItem === item)
+            li.writeAttribute("tabindex", "0");
+        
+        return li;
+    },
+    /**
+     * @memberOf Column
+     * @description Draw a section header (see Column#setGrouping)
+     * @param {String} text the header's text
+     *
+     * @returns {DOMElement} the row
+     */
+    _renderSection: function(text) {
+        return new Element("li", {"class": "browser-section", "role": "presentation"}).update(Browser.escapeHTML(text));
+    },
+    /**
+     * @memberOf Column
+     * @description Redraw just the row of one item (after a rename, say), if it is on-screen
+     * @param {ColumnItem} item the item to redraw
+     *
+     * @returns nothing
+     */
+    redrawItem: function(item) {
+        var oldLi = item.element;
+        
+        if (oldLi && oldLi.parentNode)
+            oldLi.replace(this._renderRow(item));
+    },
+    /**
+     * @memberOf Column
+     * @description Redraw an item whose name or children have changed: just its row, unless
+     * the column is sorted, filtered or grouped, when the change may move it
+     * @param {ColumnItem} item the changed item
+     *
+     * @returns nothing
+     */
+    _redrawChanged: function(item) {
+        this._orderChanged();
         
-        return count;
+        if (this.isReordered() || this.filterText)
+            this.updateList(true);
+        else
+            this.redrawItem(item);
     },
     /**
-     * @memberOf Browser
-     * @description Gets the values from the columns (that have one) as a hash-type object.
+     * @memberOf Column
+     * @description Build a spacer row, standing in for rows that aren't drawn
+     * @param {int} height the height of the spacer, in pixels
      *
-     * @returns {object} hash of all column values
+     * @returns {DOMElement} the spacer
      */
-    getColumnValues: function() {
-        var i = 0,
-            params = {};
+    _spacer: function(height) {
+        return new Element("li", {"class": "browser-spacer", "role": "presentation", "aria-hidden": "true"}).setStyle({
+            height: height + "px", padding: 0, margin: 0, border: 0, listStyle: "none"
+        });
+    },
+    /**
+     * @memberOf Column
+     * @description Get the height of a row: the rowHeight setting, or else the height of a drawn
+     * row (20 until one can be measured)
+     *
+     * @returns {int} the row height, in pixels
+     */
+    _getRowHeight: function() {
+        var row;
         
-        for(; i < this.columns.length; i++) {
-            if (this.columns[i].value != null) {
-                if (!params.hasOwnProperty(this.columns[i].columnContainerId)) {
-                    params[this.columns[i].columnContainerId] = 0;
-                }
-                params[this.columns[i].columnContainerId] = this.columns[i].value;
-            }
+        if (!this.rowHeight) {
+            row = this.renderedItems.find(function(item) { return item.element && item.element.offsetHeight; });
+            if (row)
+                this.rowHeight = row.element.offsetHeight;
         }
         
-        return params;
+        return this.rowHeight || 20;
     },
     /**
-     * @memberOf Browser
-     * @description Draws the browser to the screen, in the specified container. It calls
-     * update on all dependent items by simply updating each column. Styling handled
-     * by adding a 'browser' class to the base DIV, which should exist prior to
-     * rendering, or can be ignored.
+     * @memberOf Column
+     * @description Redraw the selected state of the items that have rows on-screen
      *
-     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
-     * 
      * @returns nothing
      */
-    draw: function (preserveColumnValues) {
-        
-        var container = $(this.containerId);
-        
-        if (!container.hasClassName("browser"))
-            container.addClassName("browser");
+    refreshItems: function() {
+        this.renderedItems.invoke("updateItem");
+    },
+    /**
+     * @memberOf Column
+     * @description Function used to bind events on the column's list. It finds the item for
+     * the element (through itemsById), and hands the event to Column#dispatchItemEvent.
+     * @param {String} eventName The name of the event to observe and dispatch as a handler
+     *
+     * @returns {Function} the bound function
+     */
+    _bind_func: function(eventName, updateElement_p) {
+        return function(event) {
+            var li = Event.findElement(event, "li"),
+                item = (li) ? this.itemsById[li.id] : null,
+                browser = this.browser,
+                wasSelected;
             
-        container.update();
+            if (!item || item.element !== li || (browser && browser.editState && browser.editState.item === item))
+                return;
             
-        var h2 = new Element("h2", {"class": "title"});
-            h2.update(this.browserTitle);
-        
-        container.appendChild(h2);
-        
-        var columnContainer = new Element("ul", {"id": this.containerId+"_columnContainer"});
-        
-        for(var i = 0; i < this.columns.length; i++) {
-            columnContainer.appendChild(this.columns[i].render());
-            if (this.columns[i].columnContainerClass == "last") {
-                var breaker = new Element("br");
-                    breaker.setStyle({clear: "both"});
-                columnContainer.appendChild(breaker);
-            }
-        }
-        
-        container.appendChild(columnContainer);
-        
-        if (typeof preserveColumnValues != 'undefined')
-            this.updateColumns(preserveColumnValues);
-        else
-            this.updateColumns(false);
-        
-        container.setStyle({
-           width: ((this.columns.length)*205) + "px" 
-        });
-        
+            wasSelected = item.selected && this.getSelectedItems().length == 1;
+            this.dispatchItemEvent(eventName, item, event, updateElement_p);
+            
+            // A slow second click on the selected item renames it
+            if (browser && browser.isEditable && eventName == 'click' && wasSelected)
+                browser._scheduleRename(this, item);
+            else if (browser && eventName == 'dblclick')
+                browser._cancelScheduledRename();
+            else if (browser && eventName == 'mouseover')
+                browser._schedulePrefetch(this, item);
+        };
     },
     /**
-     * @memberOf Browser
-     * @description This updates the columns separate from the rendering phase, which handles
-     * other parts as well as updating the columns. Resets any columns' values.
-     *
-     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
+     * @memberOf Column
+     * @description Function used to bind the drag-and-drop events on the column's list. It
+     * finds the item for the element (if any), and hands the event to the browser.
+     * @param {String} methodName The Browser method handling the event
      *
-     * @returns nothing
+     * @returns {Function} the bound function
      */
-    updateColumns: function (preserveColumnValues) {
-        for(var i = 0; i < this.columns.length; i++) {
+    _bind_drag: function(methodName) {
+        return function(event) {
+            var li = Event.findElement(event, "li"),
+                item = (li) ? this.itemsById[li.id] : null;
             
-            if (typeof preserveColumnValues != 'undefined')
-                this.columns[i].update({'preserveColumnValues': preserveColumnValues});
-            else
-                this.columns[i].update({'preserveColumnValues': false});
-
-            this.columns[i].updateComplete();
-        }
-    }
-});
-
-/**
- * @class ColumnContainerClassSet
- * 
- * @description This contains static values for the columns' 'state' class value, so it can be styled properly.
- */
-var ColumnContainerClassSet = function() {
-    this.FIRST = "first";
-    this.LAST = "last";
-    this.NONE = "";
-    this.BOTH = this.FIRST + " " + this.LAST;
-    
-    this.ALL_VALUES = [
-        this.FIRST,
-        this.LAST,
-        this.BOTH,
-        this.NONE
-    ];
-};
-
-/**
- * @class Column
- * 
- * @description This object is for the columns, and should be inside the Browser object.
- * Columns have state and labeling information, and lists of items inside them.
- */
-var Column = Class.create({
+            if (!this.browser)
+                return;
+            
+            if (methodName != 'dragStart' && methodName != 'dragOver')
+                this.browser[methodName](event);
+            else if (item && item.element === li)
+                this.browser[methodName](this, item, event);
+        };
+    },
     /**
      * @memberOf Column
-     * @description Initialize the column with the following details
-     * @constructor
-     * @param {String} label the label for the particular column
-     * @param {String} columnContainerId A coded name for the column (no spaces, special characters, etc.)
-     * @param {boolean} state determines whether the column is enabled or disabled to start
-     * @param {String} position is this column supposed to be the first or last column (or both?)
+     * @description Run an event for one of the column's items: do the event handling for the
+     * browser, then pass it off to the custom or default handler, updating the items at the
+     * very end. Mouse events come through here from Column#_bind_func, and the keyboard
+     * navigation of the browser uses it too, so every selection takes the same path.
+     * @param {String} eventName The name of the event (click, dblclick, mouseover)
+     * @param {ColumnItem} target The item the event happened to
+     * @param {Event} event The event that occurred
+     * @param {boolean} updateElement_p Should the target become the selected item.
      *
-     * @returns nothing
+     * @returns {boolean} false if a listener on the browser cancelled the event (see Browser#on)
      */
-    initialize: function(label, columnContainerId, state) {
-        /// draw the default column with no items except a default message if specified
-        this.valueName = null;
-        this.value = null;
+    dispatchItemEvent: function(eventName, target, event, updateElement_p) {
+        var previousValue = Object.toJSON(this.value);
         
-        this.isEnabled = state;
-        this.label = label + "&#160;";
-        this.columnContainerId = columnContainerId;
+        if (this.browser && this.browser.fireItemEvent(eventName, this, target, event).cancelled)
+            return false;
         
-        // Position of the column, set by the browser object when added
-        this.position = -1;
-        this.scrollTop = 0;
+        if (updateElement_p)
+            this._select(target, event);
         
-        this.items = [];
+        // This tricky bit binds the function to 'this' then
+        // immediately runs the result with the event as a
+        // parameter, then passes off to the custom handler.
+        if (typeof target[eventName+"Handler"] != 'undefined')
+            (target[eventName+"Handler"].bind(this))(event);
+        
+        if (updateElement_p)
+            this._selectionChanged(target, previousValue, event);
+        else
+            this.refreshItems();
         
-        // This is a sentinel setting for developers. UpdateCompleted needs to
-        // run, so this is set when it gets run, or logs an error when it
-        // doesn't get executed when onUpdateComplete is used.
-        this.isUpdateCompleted = true;
+        return true;
     },
     /**
      * @memberOf Column
-     * @description Set the container class (first, last, none, both) for the given column
-     * @param {String} toValue The container class value
+     * @description Select exactly the given items, in a multi-select column, as one change.
+     * This fires a single select event, with the items in its payload as 'items'.
+     * @param {Array} items the ColumnItems to select
+     * @param {Event} event the event causing the selection (or null)
      *
-     * @returns {String} the old container class value
+     * @returns nothing
      */
-    setContainerClass: function(newClass) {
-        var oldValue = this.columnContainerClass;
-        this.columnContainerClass = newClass;
+    selectItems: function(items, event) {
+        var previousValue = Object.toJSON(this.value);
         
-        return oldValue;
+        if (this.browser && this.browser.fire("select", {
+                column: this,
+                item: items.last() || null,
+                items: items,
+                path: this.browser.pathTo(this, null),
+                originalEvent: event || null
+            }).cancelled)
+            return;
+        
+        this.items.each(function(item) {
+            item.selected = items.include(item);
+        });
+        this.selectionAnchor = items.first() || null;
+        this._updateValue();
+        
+        this._selectionChanged(items.last() || null, previousValue, event);
     },
     /**
      * @memberOf Column
-     * @description change the label for a given column
-     * @param {String} newLabel the label to replace the existing one
+     * @description Select every item (but not the placeholders), in a multi-select column.
+     * @param {Event} event the event causing the selection (or null)
      *
-     * @returns {String} the old label
+     * @returns nothing
      */
-    setLabel: function(newLabel) {
-        var oldLabel = this.label;
-        this.label = newLabel;
-        return oldLabel;
+    selectAll: function(event) {
+        if (this.isMultiSelect)
+            this.selectItems(this.getSelectableItems(), event);
     },
     /**
      * @memberOf Column
-     * @description Add an item to the given column
-     * @param itemToAdd {ColumnItem} the item being added to the Column
+     * @description Show that several items are selected in the previous column, with a single
+     * placeholder item (using multipleSelectionMessage, where #{count} is the number of
+     * items), and disable the column.
+     * @param {int} count the number of items selected
      *
-     * @returns {int} the number of items in the column
+     * @returns nothing
      */
-    addItem: function(itemToAdd) {
-        itemToAdd.machineName = this.columnContainerId.toLowerCase().replace(/ /g, "_") + "__" + itemToAdd.machineName;
-        return this.items.push(itemToAdd);
+    showMultipleSelected: function(count) {
+        this.abortLoad();
+        this.clearItems();
+        this.addItem(new ColumnItem(new Template(this.multipleSelectionMessage).evaluate({count: count}), "", true, {
+            click: Prototype.emptyFunction,
+            dblclick: Prototype.emptyFunction
+        }));
+        this.disable();
+        this.updateList(false);
     },
     /**
      * @memberOf Column
-     * @description Remove all items from a Column's list of items
+     * @description Set which items are selected for an event on the target item. Normally,
+     * the target becomes the only selected item. In a multi-select column, Ctrl/Cmd toggles
+     * the target, and Shift selects the range of items from the anchor (the last item
+     * clicked) to the target.
+     * @param {ColumnItem} target the item the event happened to
+     * @param {Event} event the event that occurred (or null)
      *
-     * @returns {int} the number of items in the Column (which should be zero)
+     * @returns nothing
      */
-    clearItems: function() {
-        // AHFG 3102 : memory leak perhaps? please destroy all the items in the
-        // list individually.
-        this.items = [];
-        this.value = null;
-        return this.items.length;
+    _select: function(target, event) {
+        var items = this.getSelectableItems(),
+            from = (this.isMultiSelect && event && event.shiftKey) ? items.indexOf(this.selectionAnchor) : -1,
+            to = (from != -1) ? items.indexOf(target) : -1;
+        
+        if (from != -1 && to != -1) {
+            this.items.each(function(item) {
+                item.selected = false;
+            });
+            items.slice(Math.min(from, to), Math.max(from, to) + 1).each(function(item) {
+                item.selected = true;
+            });
+        } else if (this.isMultiSelect && event && (event.ctrlKey || event.metaKey)) {
+            target.selected = !target.selected;
+            this.selectionAnchor = target;
+        } else {
+            this.items.each(function(item) {
+                item.selected = (item === target);
+            });
+            this.selectionAnchor = target;
+        }
+        
+        this._updateValue();
     },
     /**
      * @memberOf Column
-     * @description Set the Column to be enabled
+     * @description Set the value and valueName of the column from the selected items. In
+     * multi-select, these are arrays, or null when nothing is selected.
      *
      * @returns nothing
      */
-    enable: function() {
-        this.isEnabled = true;
+    _updateValue: function() {
+        var selected = this.getSelectedItems();
+        
+        if (selected.length == 0) {
+            this.value = null;
+            this.valueName = null;
+        } else if (this.isMultiSelect) {
+            this.value = selected.pluck("value");
+            this.valueName = selected.pluck("name");
+        } else {
+            this.value = selected[0].value;
+            this.valueName = selected[0].name;
+        }
     },
     /**
      * @memberOf Column
-     * @description Set the Column to be disabled
+     * @description Redraw the items after the selection is set, and let the browser know, so
+     * it can fill in any dependent columns when the value has changed.
+     * @param {ColumnItem} activeItem the item the selection change happened on
+     * @param {String} previousValue the value before the change, as JSON
+     * @param {Event} event the event causing the change (or null)
      *
      * @returns nothing
      */
-    disable: function() {
-        this.isEnabled = false;
+    _selectionChanged: function(activeItem, previousValue, event) {
+        this.refreshItems();
+        
+        if (!this.browser)
+            return;
+        
+        this.browser.setActive(this, activeItem);
+        
+        // Let the browser fill in any dependent columns
+        if (Object.toJSON(this.value) != previousValue) {
+            this.browser.itemSelected(this, (this.getSelectedItems().length == 1) ? this.getSelectedItem() : null);
+            this.browser.pathChanged(this, activeItem, event);
+        } else if (event && event.type == 'click') {
+            this.browser._followSelection(this, activeItem);
+        }
     },
-    /** 
+    /**
      * @memberOf Column
-     * @description Draws the shell around the list that will be updated. should have the DOM
-     * structure like the following:
-     *  <li class="${this.isEnabled} list">
-     *      <h3>${this.label}</h3>
-     *      <ul id="${this.columnContainerId}" class="${this.columnContainerClass}">
-     *          ...<!-- ColumnItems for this Column -->
-     *      </ul>
-     *  </li>
-     *
-     *  @returns {DOMElement} the outer list item where the contents will be
+     * @description This will be how the updates are applied to the column. Columns with a
+     * provider are (re)loaded from it; other columns redraw the items they already have.
+     * @param {Object} definedCallbacks Object containing functions to run at specified points during execution,
+     *                                     and other values to use:
+     *              beforeUpdate {Function} run first
+     *              preserveColumnValues {boolean} Should the selected values be kept.
+     *              onUpdateComplete {Function} run at the end in place of Column#updateComplete
+     *                  (which it should call); with a provider, once the load has settled
+     * 
+     * @returns {Promise} resolves once the column has been drawn
      */
-    render: function() {
-        var outerLi = new Element("li", {"class": ((this.isEnabled) ? "enabled-list":"disabled-list")});
-        var h3      = new Element("h3").update(this.label);
-        var innerUl = new Element("ul", {"id": this.columnContainerId, "class": this.columnContainerClass});
+    update: function(definedCallbacks) {
+        var preserveColumnValues, onUpdateComplete, promise;
         
-        outerLi.appendChild(h3);
-        outerLi.appendChild(innerUl);
+        definedCallbacks = definedCallbacks || {};
         
-        // Attach an 'onscroll' event to the inner UL, so we can track positions across re-draws
-        innerUl.observe('scroll', function(event) {
-            this.scrollTop = innerUl.scrollTop;
-        }.bindAsEventListener(this));
+        if (typeof definedCallbacks["beforeUpdate"] != 'undefined')
+            definedCallbacks["beforeUpdate"]();
         
-        return outerLi;
+        preserveColumnValues = definedCallbacks['preserveColumnValues'];
+        onUpdateComplete = definedCallbacks['onUpdateComplete'];
+        
+        if (this.provider) {
+            // Only load when there is something to load the items for
+            if (this.position <= 0 || this.parentItem) {
+                promise = this.load(this.parentItem, preserveColumnValues);
+            } else {
+                this.updateList(preserveColumnValues);
+                promise = Promise.resolve(false);
+            }
+            
+            if (!onUpdateComplete)
+                return promise;
+            
+            return promise.then(function(drawn) {
+                onUpdateComplete();
+                return drawn;
+            });
+        }
+        
+        this.updateStart();
+        this.updateList(preserveColumnValues);
+        
+        if (onUpdateComplete)
+            // Use the provided callback (which should call 'updateComplete' somewhere)
+            onUpdateComplete();
+        else
+            this.updateComplete();
+        
+        return Promise.resolve(true);
     },
     /**
      * @memberOf Column
-     * @description This will update the content of the Column's list of ColumnItems. While
-     * processing, it will set a loading class, which can be styled appropriately.
-     *
-     * @param {boolean} preserveColumnValues Should we leave the column values in-place.
+     * @description Load the items for the column from its provider, showing the loading
+     * state until they arrive. Starting a new load drops the one in flight, so a late
+     * response for a parent that is no longer selected is never drawn. Items in the
+     * browser's cache (see Browser#setCache) are drawn straight away.
      * 
-     * Binds 'this' in the specified functions to the Column clicked, and the element receives
-     * the event that occurred.
+     * A load that fails, or takes longer than loadTimeout, puts the column in its error
+     * state (see Column#retry) and fires the browser's 'columnError' event.
+     * @param {ColumnItem} parentItem the selected item in the previous column (null for the first column)
+     * @param {boolean} preserveColumnValues Should we keep the selected value, if it is still there.
      *
-     * @returns nothing
+     * @returns {Promise} resolves true when the items were drawn, or false when the load was
+     *              stale or failed
      */
-    updateList: function(preserveColumnValues) {
-        var myUl = $(this.columnContainerId),
-            i = 0;
-            myUl.update(),
-            num_items = this.items.length;
-            
-        if (typeof preserveColumnValues != 'undefined' && !preserveColumnValues) {
-            this.value = null;
-            this.valueName = null;
+    load: function(parentItem, preserveColumnValues) {
+        var request = {},
+            cache = this.browser && this.browser.cache,
+            provider = this.provider.bind(this, parentItem || null),
+            signal, key, items;
+        
+        this.abortLoad();
+        this.error = null;
+        
+        if (typeof AbortController != 'undefined') {
+            request.controller = new AbortController();
+            signal = request.controller.signal;
         }
         
-        // Set the label
-        $$('#'+this.columnContainerId)[0].previous("h3").update(this.label);
+        this.parentItem = parentItem || null;
         
-        // Update the enabled/disabled state here
-        var outerLi = $(this.columnContainerId).up("li");
-            outerLi.removeClassName("disabled-list");
-            outerLi.removeClassName("enabled-list");
-            outerLi.addClassName(((this.isEnabled) ? "enabled-list":"disabled-list"));
+        if (cache) {
+            key = this.browser._cacheKey(this.browser.columns[this.position-1], this.parentItem);
+            items = cache.get(key);
+            
+            if (items) {
+                this._setItems(items, preserveColumnValues);
+                this.updateList(preserveColumnValues);
+                this.updateComplete();
+                return Promise.resolve(true);
+            }
+        }
+        
+        this.pendingLoad = request;
+        this.updateStart();
         
-        for (; i < num_items; i++) {
-            var freshlyAddedElement = myUl.appendChild(this.items[i].render());
+        request.promise = Promise.race([
+            // A shared load has its own AbortSignal: dropping this load mustn't abort it for the others
+            (cache) ? cache.fetch(key, provider) : Promise.resolve().then(function() {
+                // A provider that throws fails the load, like one that rejects
+                return provider(signal);
+            }),
+            new Promise(function(resolve, reject) {
+                if (this.loadTimeout > 0) {
+                    request.timer = window.setTimeout(function() {
+                        if (request.controller)
+                            request.controller.abort();
+                        reject(new Error("Timed out after " + this.loadTimeout + "ms"));
+                    }.bind(this), this.loadTimeout);
+                }
+            }.bind(this))
+        ]).then(function(items) {
+            window.clearTimeout(request.timer);
+            if (this.pendingLoad !== request)
+                return false;
+            
+            this.pendingLoad = null;
+            this._setItems(items || [], preserveColumnValues);
+            this.updateList(preserveColumnValues);
+            this.updateComplete();
             
-            // By binding to the current item, we can make 'this' refer to the proper
-            // column and items. do this to set the selected state, and any other
-            // event functions to run.
-            // True / False determine if the regular state updating things will run.
-            freshlyAddedElement.observe('click', this._bind_func('click', true).bindAsEventListener(this));
-            freshlyAddedElement.observe('dblclick', this._bind_func('dblclick', true).bindAsEventListener(this));
-            freshlyAddedElement.observe('mouseover', this._bind_func('mouseover', false).bindAsEventListener(this));
+            return true;
+        }.bind(this), function(error) {
+            window.clearTimeout(request.timer);
+            if (this.pendingLoad !== request)
+                return false;
             
-        }
+            this.pendingLoad = null;
+            Browser.log("Couldn't load the items of " + this.columnContainerId, error);
+            
+            this._setItems([], false);
+            this.error = error || new Error("Unknown error");
+            this.updateList(false);
+            this.updateComplete();
+            
+            if (this.browser)
+                this.browser.fire("columnError", {column: this, error: this.error, path: this.browser.pathTo(this, null)});
+            
+            return false;
+        }.bind(this));
         
+        return request.promise;
     },
     /**
      * @memberOf Column
-     * @description Function used to bind events to new column items. It will do
-     * event handling for the browser, then pass it off to the custom or default
-     * handler, updating the item at the very end.
-     * @param {String} eventName The name of the event to observe and dispatch as a handler
+     * @description Drop the load in flight, if any, aborting the request when the provider
+     * was given an AbortSignal. Its result will not be drawn.
      *
-     * @returns {Function} the bound function
+     * @returns {boolean} whether there was a load to drop
+     */
+    abortLoad: function() {
+        var request = this.pendingLoad;
+        
+        if (!request)
+            return false;
+        
+        this.pendingLoad = null;
+        window.clearTimeout(request.timer);
+        if (request.controller)
+            request.controller.abort();
+        
+        if ($(this.domId))
+            this.updateComplete();
+        
+        return true;
+    },
+    /**
+     * @memberOf Column
+     * @description Wait for the Column to finish loading. If a load is replaced by a newer
+     * one while waiting, this waits for the newer one.
+     *
+     * @returns {Promise} resolves once nothing is loading
      */
-    _bind_func: function(eventName, updateElement_p) {
-        return function(event) {
-            var clicked = Event.element(event);
-            for (var i =0; i < this.items.length; i++) {
-                if (clicked.id == this.items[i].machineName) {
-                    if (updateElement_p) {
-                        // Set the column state and value
-                        this.items[i].selected = true;
-                        this.value = this.items[i].value;
-                        this.valueName = this.items[i].name;
-                    }
-                    
-                    // This tricky bit binds the function to 'this' then
-                    // immediately runs the result with the event as a
-                    // parameter, then passes off to the custom handler.
-                    if (typeof this.items[i][eventName+"Handler"] != 'undefined')
-                        (this.items[i][eventName+"Handler"].bind(this))(event);
-                        
-                } else
-                    if (updateElement_p)
-                        this.items[i].selected = false;
-                    
-                this.items[i].updateItem();
-            }
-        };
+    whenLoaded: function() {
+        if (!this.pendingLoad)
+            return Promise.resolve(true);
+        
+        return this.pendingLoad.promise.then(function() {
+            return this.whenLoaded();
+        }.bind(this));
     },
     /**
      * @memberOf Column
-     * @description This will be how the updates are applied to the column. Wraps in a set
-     * of functions that allow for callbacks at different stages along the way.
-     * @param {Object} definedCallbacks Object containing functions to run at specified points during execution,
-     *                                     and other values to use.
-     * 
+     * @description Replace the items with the ones loaded by the provider. Tree nodes are
+     * turned into ColumnItems. The column is enabled when it has something to show.
+     * @param {Array} items ColumnItems or tree nodes
+     * @param {boolean} preserveColumnValues Should we keep the selected value, if it is still there.
+     *
      * @returns nothing
      */
-    update: function(definedCallbacks) {
-        var myUl = $(this.columnContainerId);
-        
-        if (typeof definedCallbacks != 'undefined' && typeof definedCallbacks["beforeUpdate"] != 'undefined')
-            definedCallbacks["beforeUpdate"]();
-            
-        // Set the regular update start call
-        this.updateStart();
+    _setItems: function(items, preserveColumnValues) {
+        var values = (this.value != null) ? [].concat(this.value) : [],
+            i = 0;
         
-        if (typeof definedCallbacks != 'undefined' && typeof definedCallbacks["preserveColumnValues"] != 'undefined') {
-            this.updateList(definedCallbacks['preserveColumnValues']);
-        } else
-            this.updateList();
+        this.clearItems();
         
-        if (typeof definedCallbacks != 'undefined' && typeof definedCallbacks["onUpdateComplete"] != 'undefined')
-            // Use the provided callback (which should call 'updateComplete' somewhere)
-            definedCallbacks["onUpdateComplete"]();
+        for (; i < items.length; i++) {
+            var item = (items[i] instanceof ColumnItem) ? items[i] : ColumnItem.fromNode(items[i], this.itemHandlers);
             
-        else {
-            // run the regular update complete function
-            this.updateComplete();
+            // Items the provider hands back again may still be marked from last time
+            item.selected = !!(preserveColumnValues && values.any(function(value) { return item.value == value; }));
+            
+            this.addItem(item);
         }
+        
+        this._updateValue();
+        (this.items.length > 0) ? this.enable() : this.disable();
     },
     /**
      * @memberOf Column
      * @description This removes the 'browser-loading' class from the specified
-     * column. Paired with the update method, which sets the loading class,
-     * this can allow AJAX requests to be run asynchronously, and remove the
-     * loading class state after it has actually completed.
+     * column. Paired with updateStart, which sets the loading class; both are run
+     * by the update and load methods.
      *
      * @returns nothing
      */
     updateComplete: function () {
-        var myUl = $(this.columnContainerId)
-            i = 0;
-        myUl.removeClassName("browser-loading");
+        var myUl = $(this.domId);
+        myUl.removeClassName("browser-loading").writeAttribute("aria-busy", "false");
         
         // Update the scroll position
-        $(this.columnContainerId).scrollTop = this.scrollTop;
-        
-        this.isUpdateCompleted = true;
+        myUl.scrollTop = this.scrollTop;
     },
     /**
      * @memberOf Column
-     * @description This function adds the 'bwoser-loading' class to the specified
-     * column. Paired with the update method, which updateComplete function, which
-     * removes the loading class, this can allow AJAX requests to be run asynchronously.
+     * @description This function adds the 'browser-loading' class (and aria-busy) to the
+     * specified column. Paired with updateComplete, which removes the loading class.
      *
      * @returns nothing
      */
     updateStart: function () {
-        var myUl = $(this.columnContainerId);
-        myUl.addClassName("browser-loading");
-        this.isUpdateCompleted = false;
+        var myUl = $(this.domId);
+        myUl.addClassName("browser-loading").writeAttribute("aria-busy", "true");
     }
 });
 
+/**
+ * @memberOf Column
+ * @description Compare two strings the way people expect: ignoring case, with runs of
+ * digits compared as numbers ("Item 2" before "Item 10")
+ * @param {String} a the first string
+ * @param {String} b the second string
+ *
+ * @returns {int} less than 0 when a comes first, more than 0 when b does, 0 when equal
+ */
+Column.naturalCompare = function(a, b) {
+    var x = String(a).toLowerCase().match(/\d+|\D+/g) || [],
+        y = String(b).toLowerCase().match(/\d+|\D+/g) || [],
+        i, difference;
+    
+    for (i = 0; i < x.length && i < y.length; i++) {
+        if (x[i] == y[i])
+            continue;
+        
+        if (/^\d/.test(x[i]) && /^\d/.test(y[i]))
+            difference = (parseInt(x[i], 10) - parseInt(y[i], 10)) || (x[i].length - y[i].length);
+        else
+            difference = x[i].localeCompare(y[i]);
+        
+        if (difference)
+            return difference;
+    }
+    
+    return x.length - y.length;
+};
+
+/**
+ * @memberOf Column
+ * @description The sorts a column can use by name (see Column#setSort), each with the
+ * label shown in the header's sort menu and a comparator of two ColumnItems (null for the
+ * order they were added in). More can be added.
+ */
+Column.sorts = {
+    none: {label: "Original order", compare: null},
+    name: {label: "Name", compare: function(a, b) {
+        return Column.naturalCompare(a.name, b.name);
+    }},
+    foldersFirst: {label: "Folders first", compare: function(a, b) {
+        return (b.hasChildren - a.hasChildren) || Column.naturalCompare(a.name, b.name);
+    }}
+};
+
+/**
+ * @memberOf Column
+ * @description The groupings a column can use by name (see Column#setGrouping): by first
+ * letter ("#" for names starting with anything else), or by type (folders, for items with
+ * children, and files). More can be added.
+ */
+Column.groupings = {
+    letter: function(item) {
+        var letter = String(item.name).charAt(0).toUpperCase();
+        return (letter.toLowerCase() != letter) ? letter : "#";
+    },
+    type: function(item) {
+        return (item.hasChildren) ? "Folders" : "Files";
+    }
+};
+
 /**
  * @class ColumnItem
  * @description these items fit inside the columns and contain label, value and function
@@ -477,12 +4966,31 @@ var ColumnItem = Class.create({
         // Don't store and use this name
         // It's internal and may get mangled along the way.
         this.machineName = name.toLowerCase().replace(/ /g, "_") +"__"+value;
+        // The part of the machineName that stays the same in any column
+        this.itemKey = this.machineName;
 
         this.value = value;
         this.description = "";
         this.isEmpty = isPlaceholder;
         this.selected = false;
         
+        // Its row, while on-screen (see Column#_renderWindow)
+        this.element = null;
+        
+        // The tree node, and its child nodes, when this item was built from a tree (see Browser#loadTree)
+        this.node = null;
+        this.children = [];
+        // Whether selecting this item opens a new column (see Browser#setColumnFactory)
+        this.hasChildren = false;
+        // A right-click menu for just this item, in place of its column's (see Browser#setContextMenu)
+        this.contextMenu = null;
+        
+        // Extras shown by the default template (see ColumnItem.defaultTemplate): a class name
+        // for an icon, a count badge and a second line of text
+        this.icon = null;
+        this.badge = null;
+        this.secondaryText = null;
+        
         this.eventHandlers = eventHandlers;
         
         // Assign each event handler to the proper event. Set all missing handlers to null.
@@ -506,6 +5014,23 @@ var ColumnItem = Class.create({
         this.isEmpty = newIsPlaceholder;
         return oldValue;
     },
+    /**
+     * @memberOf ColumnItem
+     * @description Change the name of the ColumnItem (and of its tree node, if it has one).
+     * The machineName stays as it was, so the item can still be found.
+     * @param {String} newName the new name
+     *
+     * @returns {String} the old name
+     */
+    setName: function(newName) {
+        var oldName = this.name;
+        
+        this.name = newName;
+        if (this.node)
+            this.node.name = newName;
+        
+        return oldName;
+    },
     /**
      * @memberOf ColumnItem
      * @description This adds description text to the ColumnItem. It can be of any length,
@@ -518,30 +5043,83 @@ var ColumnItem = Class.create({
     setDescription: function(descriptionText) {
         this.description = descriptionText;
     },
+    /**
+     * @memberOf ColumnItem
+     * @description The item's values for a template, escaped for HTML (see
+     * Browser#setItemTemplate): name, value, description, icon, badge and secondaryText.
+     *
+     * @returns {Object} the escaped values
+     */
+    templateData: function() {
+        return {
+            name: Browser.escapeHTML(this.name),
+            value: Browser.escapeHTML(this.value),
+            description: Browser.escapeHTML(this.description),
+            icon: Browser.escapeHTML(this.icon),
+            badge: Browser.escapeHTML(this.badge),
+            secondaryText: Browser.escapeHTML(this.secondaryText)
+        };
+    },
     /**
      * @memberOf ColumnItem
      * @description This draws the ColumnItem
+     * @param {String|Function} template (optional) the template for the row's contents (see
+     *              Browser#setItemTemplate). Defaults to ColumnItem.defaultTemplate.
+     * @param {Column} column (optional) the column the row is for, passed to template functions
      *
      * @returns {DOMElement} the DOM structure for the new ColumnItem
      */
-    render: function() {
-        var newLi = new Element("li", {"id": this.machineName, "title": this.description});
-        if (this.isEmpty) newLi.addClassName("empty");
-        newLi.update(this.name);
-        (this.selected) ? newLi.addClassName("picked") : newLi.removeClassName("picked");
+    render: function(template, column) {
+        var newLi = new Element("li", {"id": this.machineName, "title": this.description, "role": "option", "tabindex": "-1"});
+        
+        template = template || ColumnItem.defaultTemplate;
         
+        if (this.isEmpty) newLi.addClassName("empty").writeAttribute("aria-disabled", "true");
+        newLi.update((Object.isFunction(template)) ?
+            template(this, column || null) :
+            new Template(template).evaluate(this.templateData()));
+        this._updateState(newLi);
+        
+        this.element = newLi;
         return newLi;
     },
     /**
      * @memberOf ColumnItem
-     * @description Find, then update, the ColumnItem by its generated machineName
+     * @description Update the ColumnItem's row, if it has one on-screen
      *
      * @returns nothing
      */
     updateItem: function() {
-        var newLi = $(this.machineName);
-        (this.selected) ? newLi.addClassName("picked") : newLi.removeClassName("picked");
+        var newLi = this.element;
+        
+        // Not on-screen (filtered out, outside the window of rows, or not drawn yet)
+        if (!newLi) return;
         
+        this._updateState(newLi);
+    },
+    /**
+     * @memberOf ColumnItem
+     * @description Show the selected state on a row: the 'picked' class, aria-selected and,
+     * for items with children (shown in the next column while selected), aria-expanded
+     * @param {DOMElement} li the row
+     *
+     * @returns nothing
+     */
+    _updateState: function(li) {
+        (this.selected) ? li.addClassName("picked") : li.removeClassName("picked");
+        li.writeAttribute("aria-selected", String(this.selected));
+        if (this.hasChildren)
+            li.writeAttribute("aria-expanded", String(this.selected));
+    },
+    /**
+     * @memberOf ColumnItem
+     * @description Let go of the item's row, once it is cleared from its column (see
+     * Column#clearItems)
+     *
+     * @returns nothing
+     */
+    dispose: function() {
+        this.element = null;
     },
     /** ********************* Function Event Handlers ********************** **/
     /** ********************** SEE Column#_bind_func *********************** **/
@@ -549,24 +5127,25 @@ var ColumnItem = Class.create({
      * @memberOf ColumnItem
      * @description Method to run right after a ColumnItem is clicked. Can be set to do nothing,
      * (function(){}) or any number of things. Click handler can deal with multiple click types,
-     * so check for those using the event object. Helper function to aid in development/testing.
+     * so check for those using the event object; right-clicks open the context menu instead
+     * (see Browser#setContextMenu). By default, this only logs the click when
+     * Browser.debug is on; listening to the browser's select event (see Browser#on) is
+     * usually simpler than setting a handler on every item.
      *
      * @param {Event} event The event attached to the action being performed.
      *
      * The scope is the parent widget object ('this'). The event refers to the
-     * item clicked.
+     * item clicked, and is null when the item was selected by Browser#selectPath.
      */
     clickHandler: function(event) {
         /// overwrite this function so that the individual items can run
-        if (Event.isLeftClick(event))
-            alert("CLICK: Specify a function, which takes 'event' as parameter for this item.");
-        else
-            alert("RIGHT-CLICK: Specify a function, which takes 'event' as a parameter for this item (and detects for right-click).")
+        Browser.log("CLICK in " + this.columnContainerId + ": no click handler specified for this item.", event);
     },
     /**
      * @memberOf ColumnItem
      * @description Method to run right after a ColumnItem is double-clicked. Can be set to do nothing,
-     * (function(){}) or any number of things. Helper function to clue developers in.
+     * (function(){}) or any number of things. By default, this only logs the double-click when
+     * Browser.debug is on (see also the browser's activate event).
      *
      * @param {Event} event The event attached to the action being performed.
      *
@@ -575,6 +5154,556 @@ var ColumnItem = Class.create({
      */
     dblclickHandler: function(event) {
         /// overwrite this function so that the individual items can run
-        alert("DOUBLE-CLICK: Specify a function, which takes 'event' as parameter for this item.");
+        Browser.log("DOUBLE-CLICK in " + this.columnContainerId + ": no dblclick handler specified for this item.", event);
+    }
+});
+
+/**
+ * @memberOf ColumnItem
+ * @description Build a ColumnItem from a tree node (see Browser#loadTree). The
+ * node's children are kept on the item, so they can fill the next column.
+ * @param {Object} node the tree node, with name, value, description and children
+ * @param {Object} eventHandlers (optional) the handlers for the new item. Defaults to
+ *              handlers that do nothing.
+ *
+ * @returns {ColumnItem} the new item
+ */
+ColumnItem.fromNode = function(node, eventHandlers) {
+    var item = new ColumnItem(node.name, node.value, false, eventHandlers || {
+        click: Prototype.emptyFunction,
+        dblclick: Prototype.emptyFunction
+    });
+    
+    item.setDescription(node.description || "");
+    item.node = node;
+    item.children = node.children || [];
+    item.hasChildren = (typeof node.hasChildren != 'undefined') ? !!node.hasChildren : item.children.length > 0;
+    item.contextMenu = node.contextMenu || null;
+    item.icon = node.icon || null;
+    item.badge = (typeof node.badge != 'undefined') ? node.badge : null;
+    item.secondaryText = node.secondaryText || null;
+    
+    return item;
+};
+
+/**
+ * @memberOf ColumnItem
+ * @description The template rows are drawn with by default (see Browser#setItemTemplate):
+ * the item's name, after its icon when it has one, then its secondary text and badge when
+ * it has them, and a chevron when it has children. All text is escaped.
+ *  <span class="item-icon ${icon}"></span><span class="item-name">${name}</span>
+ *  <span class="item-secondary">${secondaryText}</span><span class="item-badge">${badge}</span>
+ *  <span class="item-chevron"></span>
+ * @param {ColumnItem} item the item to draw
+ *
+ * @returns {String} the HTML for the row's contents
+ */
+ColumnItem.defaultTemplate = function(item) {
+    var data = item.templateData(),
+        html = '<span class="item-name">' + data.name + '</span>';
+    
+    if (data.icon)
+        html = '<span class="item-icon ' + data.icon + '" aria-hidden="true"></span>' + html;
+    if (data.secondaryText)
+        html += '<span class="item-secondary">' + data.secondaryText + '</span>';
+    if (data.badge !== "")
+        html += '<span class="item-badge">' + data.badge + '</span>';
+    if (item.hasChildren)
+        html += '<span class="item-chevron" aria-hidden="true">&#9656;</span>';
+    
+    return html;
+};
+
+/**
+ * @class BrowserMenu
+ * @description A context menu (see Browser#setContextMenu), drawn as a list at the
+ * pointer. Can be used with the keyboard: Up/Down move between entries, Enter or Space
+ * runs one, Right and Left open and close submenus, and Escape closes the menu. A click
+ * outside the menu closes it too.
+ */
+var BrowserMenu = Class.create({
+    /**
+     * @memberOf BrowserMenu
+     * @description Initializes the menu; it is drawn when opened
+     * @param {Array} entries the menu entries
+     * @param {Object} context what the menu is for, passed to actions and 'disabled' functions
+     * @param {Function} onClose (optional) runs when the menu closes, told whether the
+     *              keyboard focus was in the menu
+     * @param {BrowserMenu} parentMenu (optional) the menu this is a submenu of
+     *
+     * @returns nothing
+     */
+    initialize: function(entries, context, onClose, parentMenu) {
+        this.entries = entries;
+        this.context = context;
+        this.onClose = onClose || Prototype.emptyFunction;
+        this.parentMenu = parentMenu || null;
+        
+        this.element = null;
+        this.rows = [];
+        this.activeIndex = -1;
+        this.submenu = null;
+        this.outsideListener = null;
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Draw the menu and focus its first entry. A submenu is drawn beside its
+     * entry in the parent menu; other menus are placed on the page at the given point.
+     * @param {int} x the left of the menu, in page coordinates
+     * @param {int} y the top of the menu, in page coordinates
+     *
+     * @returns nothing
+     */
+    open: function(x, y) {
+        this.element = this._render();
+        
+        if (this.parentMenu) {
+            this.parentMenu.rows[this.parentMenu.activeIndex].appendChild(this.element);
+            this.element.setStyle({position: "absolute", left: "100%", top: "0"});
+        } else {
+            document.body.appendChild(this.element);
+            this.element.setStyle({position: "absolute", left: x + "px", top: y + "px", zIndex: "1000"});
+            
+            this.outsideListener = function(event) {
+                var target = Event.element(event);
+                if (target !== this.element && !(target.descendantOf && target.descendantOf(this.element)))
+                    this.close();
+            }.bindAsEventListener(this);
+            document.observe("mousedown", this.outsideListener);
+        }
+        
+        this.focusEntry(this._nextEnabled(-1, 1));
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Close the menu, with any submenu open in it
+     *
+     * @returns nothing
+     */
+    close: function() {
+        var onClose = this.onClose,
+            focused = $(document.activeElement),
+            hadFocus;
+        
+        if (!this.element)
+            return;
+        
+        hadFocus = !!focused && (focused === this.element || focused.descendantOf(this.element));
+        this.closeSubmenu();
+        
+        if (this.outsideListener)
+            document.stopObserving("mousedown", this.outsideListener);
+        this.outsideListener = null;
+        
+        this.element.select("li").invoke("stopObserving");
+        this.element.stopObserving().remove();
+        this.element = null;
+        this.rows = [];
+        
+        this.onClose = Prototype.emptyFunction;
+        onClose(hadFocus);
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Close the submenu open in this menu, if any
+     *
+     * @returns nothing
+     */
+    closeSubmenu: function() {
+        if (this.submenu)
+            this.submenu.close();
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Whether an entry is disabled, computing it for the menu's context
+     * @param {Object} entry the menu entry
+     *
+     * @returns {boolean} true if the entry is disabled
+     */
+    isDisabled: function(entry) {
+        var disabled = entry.disabled;
+        
+        if (Object.isFunction(disabled))
+            disabled = disabled.call(this.context.browser, this.context);
+        
+        return !!disabled;
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Move the keyboard focus to an entry, closing any other entry's submenu
+     * @param {int} index the position of the entry
+     *
+     * @returns nothing
+     */
+    focusEntry: function(index) {
+        if (index < 0 || !this.rows[index])
+            return;
+        
+        if (this.submenu && this.activeIndex != index)
+            this.closeSubmenu();
+        
+        if (this.rows[this.activeIndex])
+            this.rows[this.activeIndex].removeClassName("menu-active");
+        
+        this.activeIndex = index;
+        this.rows[index].addClassName("menu-active");
+        this.rows[index].focus();
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Run an entry: open its submenu, or run its action and close the whole menu
+     * @param {int} index the position of the entry
+     *
+     * @returns nothing
+     */
+    runEntry: function(index) {
+        var entry = this.entries[index];
+        
+        if (!this._isEntry(entry) || this.isDisabled(entry))
+            return;
+        
+        if (entry.items) {
+            this.openSubmenu(index);
+            return;
+        }
+        
+        this._root().close();
+        
+        if (entry.action)
+            entry.action.call(this.context.browser, this.context);
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Open the submenu of an entry
+     * @param {int} index the position of the entry
+     *
+     * @returns nothing
+     */
+    openSubmenu: function(index) {
+        var entry = this.entries[index],
+            items;
+        
+        if (!this._isEntry(entry) || !entry.items || this.isDisabled(entry))
+            return;
+        
+        this.focusEntry(index);
+        if (this.submenu)
+            return;
+        
+        items = (Object.isFunction(entry.items)) ? entry.items.call(this.context.browser, this.context) : entry.items;
+        if (!items || !items.length)
+            return;
+        
+        this.submenu = new BrowserMenu(items, this.context, function(hadFocus) {
+            this.submenu = null;
+            if (hadFocus && this.rows[this.activeIndex])
+                this.rows[this.activeIndex].writeAttribute("aria-expanded", "false").focus();
+        }.bind(this), this);
+        this.rows[index].writeAttribute("aria-expanded", "true");
+        this.submenu.open();
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Handle a key press in the menu (see the class description)
+     * @param {Event} event the keydown event
+     *
+     * @returns nothing
+     */
+    handleKeydown: function(event) {
+        var handled = true;
+        
+        switch (event.keyCode) {
+            case Event.KEY_UP:
+                this.focusEntry(this._nextEnabled(this.activeIndex, -1));
+                break;
+            case Event.KEY_DOWN:
+                this.focusEntry(this._nextEnabled(this.activeIndex, 1));
+                break;
+            case Event.KEY_HOME:
+                this.focusEntry(this._nextEnabled(-1, 1));
+                break;
+            case Event.KEY_END:
+                this.focusEntry(this._nextEnabled(this.entries.length, -1));
+                break;
+            case Event.KEY_RIGHT:
+                this.openSubmenu(this.activeIndex);
+                break;
+            case Event.KEY_LEFT:
+                if (this.parentMenu)
+                    this.close();
+                break;
+            case Event.KEY_RETURN:
+            case 32: // space
+                this.runEntry(this.activeIndex);
+                break;
+            case Event.KEY_ESC:
+                this.close();
+                break;
+            case Event.KEY_TAB:
+                this._root().close();
+                break;
+            default:
+                handled = false;
+        }
+        
+        if (handled)
+            Event.stop(event);
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Build the list for the menu
+     *
+     * @returns {DOMElement} the menu's list
+     */
+    _render: function() {
+        var ul = new Element("ul", {"class": "browser-menu", "role": "menu"});
+        
+        this.rows = this.entries.map(function(entry, index) {
+            var li;
+            
+            if (!this._isEntry(entry))
+                return ul.appendChild(new Element("li", {"class": "menu-separator", "role": "separator"}));
+            
+            li = new Element("li", {"role": "menuitem", "tabindex": "-1"}).update(Browser.escapeHTML(entry.label));
+            if (this.isDisabled(entry))
+                li.addClassName("menu-disabled").writeAttribute("aria-disabled", "true");
+            if (entry.items)
+                li.addClassName("menu-submenu").writeAttribute({"aria-haspopup": "true", "aria-expanded": "false"});
+            
+            li.observe("click", function(event) {
+                Event.stop(event);
+                this.runEntry(index);
+            }.bindAsEventListener(this));
+            li.observe("mouseover", function(event) {
+                // Submenus are drawn inside their entry, so only act on this menu's own rows
+                if (Event.findElement(event, "li") !== li || this.isDisabled(entry))
+                    return;
+                this.focusEntry(index);
+                if (entry.items)
+                    this.openSubmenu(index);
+            }.bindAsEventListener(this));
+            
+            return ul.appendChild(li);
+        }, this);
+        
+        ul.observe("keydown", function(event) {
+            // Leave keys pressed in a submenu to it
+            if (!this.submenu)
+                this.handleKeydown(event);
+        }.bindAsEventListener(this));
+        ul.observe("contextmenu", Event.stop);
+        
+        return ul;
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Find the next entry that can be focused (not a separator, nor disabled)
+     * @param {int} index the position to start from (not itself a candidate)
+     * @param {int} step 1 to look down the menu, -1 to look up it
+     *
+     * @returns {int} the position of the entry, or -1 if there is none; moving past either
+     *              end wraps around
+     */
+    _nextEnabled: function(index, step) {
+        var count = this.entries.length,
+            i, candidate;
+        
+        for (i = 1; i <= count; i++) {
+            candidate = (((index + step * i) % count) + count) % count;
+            if (this._isEntry(this.entries[candidate]) && !this.isDisabled(this.entries[candidate]))
+                return candidate;
+        }
+        
+        return -1;
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Find the menu at the top, that this menu is (perhaps) a submenu of
+     *
+     * @returns {BrowserMenu} the top menu
+     */
+    _root: function() {
+        var menu = this;
+        
+        while (menu.parentMenu)
+            menu = menu.parentMenu;
+        
+        return menu;
+    },
+    /**
+     * @memberOf BrowserMenu
+     * @description Whether a menu entry is a real entry, rather than a separator
+     * @param {Object} entry the menu entry
+     *
+     * @returns {boolean} true unless the entry is a separator
+     */
+    _isEntry: function(entry) {
+        return !!entry && entry !== "-" && !entry.separator;
+    }
+});
+
+/**
+ * @class ChildCache
+ * @description Children loaded by providers, kept by the path of their parent (see
+ * Browser#setCache). Entries expire after a time, and the least recently used are
+ * dropped once there are too many.
+ */
+var ChildCache = Class.create({
+    /**
+     * @memberOf ChildCache
+     * @description Initializes an empty cache
+     * @param {int} ttl (optional) how long entries are kept, in milliseconds (default 300000)
+     * @param {int} maxEntries (optional) how many entries are kept (default 100)
+     *
+     * @returns nothing
+     */
+    initialize: function(ttl, maxEntries) {
+        this.ttl = (typeof ttl != 'undefined') ? ttl : 300000;
+        this.maxEntries = (typeof maxEntries != 'undefined') ? maxEntries : 100;
+        
+        // Entries by key, each with its items and when they were stored
+        this.entries = {};
+        // Keys, least recently used first
+        this.keys = [];
+        // Loads in flight by key, so they can be shared
+        this.pending = {};
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Get the items stored for a key, unless they have expired
+     * @param {String} key the key
+     *
+     * @returns {Array} the items, or undefined
+     */
+    get: function(key) {
+        var entry = this.entries[key];
+        
+        if (!entry)
+            return undefined;
+        
+        if (new Date().getTime() - entry.time > this.ttl) {
+            this.remove(key);
+            return undefined;
+        }
+        
+        this.keys = this.keys.without(key);
+        this.keys.push(key);
+        
+        return entry.items;
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Store the items for a key, dropping the least recently used entries
+     * past maxEntries
+     * @param {String} key the key
+     * @param {Array} items the items
+     *
+     * @returns nothing
+     */
+    set: function(key, items) {
+        this.keys = this.keys.without(key);
+        this.keys.push(key);
+        this.entries[key] = {items: items, time: new Date().getTime()};
+        
+        while (this.keys.length > this.maxEntries)
+            this.remove(this.keys[0]);
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Load the items for a key, storing them once they arrive. While a load is
+     * in flight, asking for the same key again shares it. The load is given an AbortSignal
+     * of its own (when the browser supports it), aborted only if the cache drops the load
+     * (see ChildCache#invalidate).
+     * @param {String} key the key
+     * @param {Function} loader loads the items, given the AbortSignal, returning them or a
+     *              Promise of them
+     *
+     * @returns {Promise} resolves to the items
+     */
+    fetch: function(key, loader) {
+        var cache = this,
+            controller = (typeof AbortController != 'undefined') ? new AbortController() : null,
+            promise;
+        
+        if (this.pending[key])
+            return this.pending[key];
+        
+        promise = this.pending[key] = Promise.resolve().then(function() {
+            return loader((controller) ? controller.signal : undefined);
+        }).then(function(items) {
+            if (cache.pending[key] === promise) {
+                delete cache.pending[key];
+                cache.set(key, items || []);
+            }
+            return items;
+        }, function(error) {
+            if (cache.pending[key] === promise)
+                delete cache.pending[key];
+            throw error;
+        });
+        
+        promise.controller = controller;
+        
+        return promise;
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Drop a load in flight, aborting it
+     * @param {String} key the key
+     *
+     * @returns nothing
+     */
+    _dropPending: function(key) {
+        var promise = this.pending[key];
+        
+        delete this.pending[key];
+        if (promise && promise.controller)
+            promise.controller.abort();
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Drop one entry
+     * @param {String} key the key
+     *
+     * @returns nothing
+     */
+    remove: function(key) {
+        delete this.entries[key];
+        this.keys = this.keys.without(key);
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Drop the entry for a key, and those for every key below it (starting
+     * with the key and '/'), along with their loads in flight. The empty key, for the top
+     * level, drops everything.
+     * @param {String} key the key
+     *
+     * @returns nothing
+     */
+    invalidate: function(key) {
+        if (key === "") {
+            this.clear();
+            return;
+        }
+        
+        this.keys.select(function(candidate) {
+            return candidate == key || candidate.startsWith(key + "/");
+        }).each(this.remove, this);
+        
+        $H(this.pending).keys().each(function(candidate) {
+            if (candidate == key || candidate.startsWith(key + "/"))
+                this._dropPending(candidate);
+        }, this);
+    },
+    /**
+     * @memberOf ChildCache
+     * @description Drop every entry, and every load in flight
+     *
+     * @returns nothing
+     */
+    clear: function() {
+        $H(this.pending).keys().each(this._dropPending, this);
+        this.entries = {};
+        this.keys = [];
     }
 });